@@ -0,0 +1,56 @@
+const firebase = require(`firebase`)
+const Queue = require(`../src/queue`)
+const { sequence, wait } = require('../tests/machinery/promise_utils')
+
+// measures the throughput of a single queue against the local firebase-server (`npm run benchmark`)
+//
+// firebase-server evaluates queries on the client, the client needs to sort all tasks on every change. With
+// a lot of tasks that dominates the results, which is why the number of tasks is kept small.
+
+const numTasks = 100
+const workerCounts = [1, 5, 20]
+const processingTime = 50
+
+const app = firebase.initializeApp({ databaseURL: `ws://localhost:5000` })
+const db = app.database()
+const rootRef = db.ref()
+
+db.goOnline()
+sequence(workerCounts, measure)
+  .then(results => {
+    console.log(`workers  tasks/s  failed claims`)
+    results.forEach(({ numWorkers, tasksPerSecond, failedClaims }) => {
+      console.log(`${String(numWorkers).padEnd(7)}  ${String(tasksPerSecond).padEnd(7)}  ${failedClaims}`)
+    })
+  })
+  .catch(e => {
+    console.error(e)
+    process.exitCode = 1
+  })
+  .then(_ => { db.goOffline() })
+
+async function measure(numWorkers) {
+  const tasksRef = rootRef.push().ref
+  const keys = [...Array(numTasks).keys()].map(() => tasksRef.push().key)
+  await tasksRef.update(keys.reduce((result, key, index) => ({ ...result, [key]: { index } }), {}))
+
+  let processed = 0
+  let failedClaims = 0
+  const started = Date.now()
+  const queue = new Queue({ tasksRef, processTask, reportError: console.error, options: { numWorkers } })
+  queue.on(`claimFailed`, () => { failedClaims += 1 })
+  try {
+    await queue.drain()
+    const duration = Date.now() - started
+    if (processed !== numTasks) throw new Error(`Expected ${numTasks} processed tasks, got ${processed}`)
+    return { numWorkers, tasksPerSecond: Math.round(numTasks / duration * 1000), failedClaims }
+  } finally {
+    await queue.shutdown()
+    await tasksRef.remove()
+  }
+
+  async function processTask() {
+    await wait(processingTime)
+    processed += 1
+  }
+}
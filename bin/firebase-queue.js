@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+'use strict'
+
+const { parseArgs, run } = require('../src/cli')
+
+main().catch(e => {
+  console.error(e.message)
+  process.exitCode = 1
+})
+
+async function main() {
+  const { databaseURL, tasksPath, command, args, options } = parseArgs(process.argv.slice(2))
+
+  const firebase = requireFirebaseAdmin()
+  const app = firebase.initializeApp({ credential: firebase.credential.applicationDefault(), databaseURL })
+  try {
+    const output = await run({ tasksRef: app.database().ref(tasksPath), command, args, options })
+    console.log(output)
+  } finally {
+    await app.delete()
+  }
+}
+
+function requireFirebaseAdmin() {
+  try { return require('firebase-admin') }
+  catch (e) { throw new Error(`The CLI requires 'firebase-admin', please install it: npm install firebase-admin`) }
+}
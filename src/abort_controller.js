@@ -0,0 +1,32 @@
+'use strict'
+
+/* istanbul ignore next - node.js has a global AbortController from version 15 */
+module.exports = typeof AbortController === 'function' ? AbortController : AbortControllerFallback
+
+// implements the parts of AbortController and AbortSignal that are commonly used
+function AbortControllerFallback() {
+  const listeners = []
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    onabort: null,
+    addEventListener: (type, listener) => { if (type === 'abort') listeners.push(listener) },
+    removeEventListener: (type, listener) => {
+      const index = listeners.indexOf(listener)
+      if (type === 'abort' && index >= 0) listeners.splice(index, 1)
+    },
+  }
+
+  this.signal = signal
+  this.abort = abort
+
+  function abort(reason) {
+    if (signal.aborted) return
+
+    signal.aborted = true
+    signal.reason = reason
+    const event = { type: 'abort', target: signal }
+    if (signal.onabort) signal.onabort(event)
+    listeners.slice().forEach(listener => { listener(event) })
+  }
+}
@@ -0,0 +1,128 @@
+'use strict'
+
+const { withStatePriority } = require('./state_priority')
+const { readHistory } = require('./history')
+const { SERVER_TIMESTAMP, serverNow } = require('./transactions')
+
+module.exports = Admin
+
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz'
+
+// Operations to inspect and repair a queue, intended for humans (see `bin/firebase-queue.js`)
+function Admin({ tasksRef, auditRef = null }) {
+  if (!(this instanceof Admin)) throw new Error('You forgot the `new` keyword: `new Admin(...)`')
+
+  this.stats = stats
+  this.list = list
+  this.show = show
+  this.history = history
+  this.requeue = requeue
+  this.purge = purge
+  this.releaseStale = releaseStale
+
+  async function stats() {
+    const [snapshot, now] = await Promise.all([tasksRef.once('value'), serverNow(tasksRef)])
+    const states = new Map()
+    snapshot.forEach(task => {
+      const state = task.child('_state').val()
+      const since = sinceOf(task)
+      const { count, oldest } = states.get(state) || { count: 0, oldest: null }
+      states.set(state, { count: count + 1, oldest: earliest(oldest, since) })
+    })
+    return [...states].map(([state, { count, oldest }]) => ({
+      state, count, oldestAge: oldest === null ? null : now - oldest
+    }))
+  }
+
+  async function list({ state }) {
+    const snapshot = await tasksRef.orderByChild('_state').equalTo(state).once('value')
+    const tasks = []
+    snapshot.forEach(task => { tasks.push({ key: task.key, task: task.val() }) })
+    return tasks
+  }
+
+  async function show(key) {
+    const snapshot = await tasksRef.child(key).once('value')
+    return snapshot.val()
+  }
+
+  async function history(key) {
+    return readHistory({ key, task: auditRef ? null : await show(key), auditRef })
+  }
+
+  async function requeue({ from, to }) {
+    return updateTasksInState(from, () => task => {
+      if (task === null) return null
+      if ((task._state || null) !== from) return
+
+      // `_error_details` is kept, it might help when processing the task again
+      return withStatePriority({
+        ...task,
+        _state: to,
+        _state_changed: SERVER_TIMESTAMP,
+        _owner: null,
+        _progress: null,
+        _lease_expires: null,
+        _recoveries: null,
+        _attempts: null,
+        _run_at: null,
+        _scheduled_state: null,
+      })
+    })
+  }
+
+  async function purge({ state, olderThan }) {
+    return updateTasksInState(state, (key, now) => task => {
+      if (task === null) return null
+      if ((task._state || null) === state && isOlderThan(key, task, olderThan, now)) return null
+    })
+  }
+
+  async function releaseStale({ inProgressState, startState, olderThan = null }) {
+    return updateTasksInState(inProgressState, (key, now) => task => {
+      if (task === null) return null
+      if (task._state !== inProgressState || !isStale(key, task, now)) return
+
+      return withStatePriority({
+        ...task,
+        _state: startState,
+        _state_changed: SERVER_TIMESTAMP,
+        _owner: null,
+        _progress: 0,
+        _lease_expires: null,
+      })
+    })
+
+    function isStale(key, task, now) {
+      return task._lease_expires < now || (olderThan !== null && isOlderThan(key, task, olderThan, now))
+    }
+  }
+
+  async function updateTasksInState(state, createTransaction) {
+    const [tasks, now] = await Promise.all([list({ state }), serverNow(tasksRef)])
+    const results = await Promise.all(tasks.map(({ key }) =>
+      tasksRef.child(key).transaction(createTransaction(key, now), undefined, false)
+        .then(({ committed }) => committed && key)
+    ))
+    return results.filter(Boolean)
+  }
+
+  function isOlderThan(key, task, age, now) {
+    const since = task._state_changed || pushKeyTime(key)
+    return since !== null && since < now - age
+  }
+
+  function sinceOf(snapshot) {
+    return snapshot.child('_state_changed').val() || pushKeyTime(snapshot.key)
+  }
+}
+
+function earliest(a, b) {
+  return a === null ? b : b === null ? a : Math.min(a, b)
+}
+
+// the first 8 characters of a push key contain the (client side) time at which the key was created
+function pushKeyTime(key) {
+  if (!/^[-0-9A-Za-z_]{20}$/.test(key)) return null
+  return key.slice(0, 8).split('').reduce((result, x) => result * 64 + PUSH_CHARS.indexOf(x), 0)
+}
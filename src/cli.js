@@ -0,0 +1,150 @@
+'use strict'
+
+const Admin = require('./admin')
+const { DURATIONS, parseDuration } = require('./durations')
+
+const USAGE = `Usage: firebase-queue <database-url> <tasks-path> <command> [options]
+
+Commands:
+  stats                                        number of tasks and age of the oldest task per state
+  list --state <state>                         the tasks in the given state
+  show <key>                                   the complete task
+  history <key> [--audit-path <path>]          the state transitions of the task, from its _history or
+                                               from the audit ref at the given path
+  requeue --from <state> --to <state>          move the tasks from one state to another
+  purge --state <state> --older-than <age>     remove the tasks in the given state that are older than age
+  release-stale [--in-progress-state <state>] [--start-state <state>] [--older-than <age>]
+                                               move the tasks with an expired lease (or older than age)
+                                               back to the start state
+
+Use 'null' for the null state. Ages are written as a number followed by ms, s, m, h or d, for example 7d.
+The environment variable GOOGLE_APPLICATION_CREDENTIALS should point to a service account file.`
+
+// [arguments, required options, optional options]
+const COMMANDS = {
+  'stats': [[], [], []],
+  'list': [[], ['state'], []],
+  'show': [['key'], [], []],
+  'history': [['key'], [], ['audit-path']],
+  'requeue': [[], ['from', 'to'], []],
+  'purge': [[], ['state', 'older-than'], []],
+  'release-stale': [[], [], ['in-progress-state', 'start-state', 'older-than']],
+}
+
+module.exports = { parseArgs, run, USAGE }
+
+function parseArgs([databaseURL, tasksPath, command, ...rest]) {
+  if (!databaseURL || !tasksPath || !command) throw new Error(USAGE)
+  return { databaseURL, tasksPath, command, ...parseOptions(rest) }
+}
+
+async function run({ tasksRef, command, args, options }) {
+  checkCommand(command, args, options)
+
+  const auditPath = options['audit-path']
+  const admin = new Admin({ tasksRef, auditRef: auditPath ? tasksRef.root.child(auditPath) : null })
+  const [key] = args
+
+  const commands = {
+    'stats': async () => formatStats(await admin.stats()),
+    'list': async () => formatTasks(await admin.list({ state: toState(options.state) })),
+    'show': async () => {
+      const task = await admin.show(key)
+      if (task === null) throw new Error(`Task '${key}' does not exist`)
+      return JSON.stringify(task, null, 2)
+    },
+    'history': async () => formatHistory(await admin.history(key)),
+    'requeue': async () => formatKeys('Requeued', await admin.requeue({
+      from: toState(options.from),
+      to: toState(options.to),
+    })),
+    'purge': async () => formatKeys('Purged', await admin.purge({
+      state: toState(options.state),
+      olderThan: toDuration(options['older-than']),
+    })),
+    'release-stale': async () => formatKeys('Released', await admin.releaseStale({
+      inProgressState: options['in-progress-state'] || 'in_progress',
+      startState: toState(options['start-state'] || 'null'),
+      olderThan: options['older-than'] ? toDuration(options['older-than']) : null,
+    })),
+  }
+
+  return commands[command]()
+}
+
+function parseOptions([arg, ...rest], result = { args: [], options: {} }) {
+  if (arg === undefined) return result
+  if (!arg.startsWith('--')) return parseOptions(rest, { ...result, args: [...result.args, arg] })
+
+  const [value, ...remaining] = rest
+  if (value === undefined) throw new Error(`Missing value for '${arg}'`)
+  return parseOptions(remaining, { ...result, options: { ...result.options, [arg.slice(2)]: value } })
+}
+
+function checkCommand(command, args, options) {
+  if (!COMMANDS.hasOwnProperty(command)) throw new Error(`Unknown command '${command}'\n\n${USAGE}`)
+
+  const [expectedArgs, required, optional] = COMMANDS[command]
+  const names = Object.keys(options)
+  const missing = required.filter(x => !names.includes(x))
+  const unknown = names.filter(x => !required.includes(x) && !optional.includes(x))
+
+  if (args.length !== expectedArgs.length) throw new Error(
+    `'${command}' expects ${expectedArgs.length ? expectedArgs.map(x => `<${x}>`).join(' ') : 'no arguments'}`
+  )
+  if (missing.length) throw new Error(`'${command}' requires ${missing.map(x => `--${x}`).join(', ')}`)
+  if (unknown.length) throw new Error(`'${command}' does not accept ${unknown.map(x => `--${x}`).join(', ')}`)
+}
+
+function toState(x) {
+  return x === 'null' ? null : x
+}
+
+function toDuration(x) {
+  const duration = parseDuration(x)
+  if (duration === null) throw new Error(`Invalid age '${x}', expected a number followed by ms, s, m, h or d`)
+  return duration
+}
+
+function formatStats(stats) {
+  return formatTable([
+    ['state', 'count', 'oldest'],
+    ...stats.map(({ state, count, oldestAge }) => [String(state), String(count), formatAge(oldestAge)])
+  ])
+}
+
+function formatTasks(tasks) {
+  return formatTable([
+    ['key', 'state', 'state changed', 'error'],
+    ...tasks.map(({ key, task: { _state = null, _state_changed, _error_details } }) => [
+      key,
+      String(_state),
+      _state_changed ? new Date(_state_changed).toISOString() : '-',
+      (_error_details && _error_details.error) || '-',
+    ])
+  ])
+}
+
+function formatHistory(entries) {
+  return formatTable([
+    ['at', 'from', 'to', 'owner', 'error'],
+    ...entries.map(({ at, from = null, to = null, owner, error }) => [
+      new Date(at).toISOString(), String(from), String(to), owner || '-', error || '-',
+    ])
+  ])
+}
+
+function formatKeys(verb, keys) {
+  return [`${verb} ${keys.length} task(s)`, ...keys].join('\n')
+}
+
+function formatAge(age) {
+  if (age === null) return '-'
+  const [unit, size] = Object.entries(DURATIONS).reverse().find(([, size]) => age >= size) || ['ms', 1]
+  return `${Math.floor(age / size)}${unit}`
+}
+
+function formatTable(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)))
+  return rows.map(row => row.map((x, i) => x.padEnd(widths[i])).join('  ').trimEnd()).join('\n')
+}
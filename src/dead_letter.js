@@ -0,0 +1,63 @@
+'use strict'
+
+const { removeReservedKeys } = require('./reserved_keys')
+const { withStatePriority } = require('./state_priority')
+const { taskPath } = require('./shards')
+const { SERVER_TIMESTAMP, withRetries } = require('./transactions')
+
+module.exports = DeadLetter
+
+function DeadLetter({ tasksRef, numShards, deadLetterRef, spec }) {
+
+  this.move = move
+  this.redrive = redrive
+
+  // The entry is written before the task is removed, a crash in between leaves the task in both places instead of
+  // losing it. A task that changed after it was rejected (it might have been requeued) is left alone.
+  async function move(snapshot) {
+    const { ref, key } = snapshot
+    const task = snapshot.val()
+    const entryRef = deadLetterRef.child(key)
+    await entryRef.set({ task, spec, failed: SERVER_TIMESTAMP })
+
+    const { committed } = await withRetries(ref, current => {
+      if (current === null) return null
+      if (isSameFailure(current, task)) return null // remove
+    })
+    if (!committed) await entryRef.remove()
+  }
+
+  async function redrive(keys, state) {
+    const entries = await Promise.all(keys.map(key => deadLetterRef.child(key).once('value')))
+    const found = entries.filter(x => x.exists())
+
+    await tasksRef.root.update(found.reduce(
+      (result, entry) => ({
+        ...result,
+        [pathOf(taskRef(entry.key))]: toTask(entry.child('task').val(), state),
+        [pathOf(entry.ref)]: null,
+      }),
+      {}
+    ))
+    return found.map(x => x.key)
+  }
+
+  function taskRef(key) {
+    return tasksRef.child(taskPath(key, numShards))
+  }
+}
+
+// `_state_changed` of the snapshot is only an estimate of the server time, it can not be compared
+function isSameFailure(a, b) {
+  return a._state === b._state && JSON.stringify(a._error_details) === JSON.stringify(b._error_details)
+}
+
+function toTask(deadTask, state) {
+  const task = removeReservedKeys(deadTask)
+  task._state = state
+  return withStatePriority(task)
+}
+
+function pathOf(ref) {
+  return ref.parent ? `${pathOf(ref.parent)}/${ref.key}` : ''
+}
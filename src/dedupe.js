@@ -0,0 +1,47 @@
+'use strict'
+
+const { withRetries, serverNow } = require('./transactions')
+
+module.exports = Dedupe
+
+// An index of dedupe keys: `indexRef/$dedupeKey` contains `{ task, expires }`. The entry belongs to the task
+// while it is pending, once it is done the entry remains valid until `expires`.
+function Dedupe({ indexRef }) {
+
+  this.reserve = reserve
+  this.release = release
+
+  // resolves with `null` when the dedupe key was reserved for the task, otherwise with the key of the task
+  // that holds the dedupe key
+  async function reserve(dedupeKey, key) {
+    const now = await serverNow(indexRef)
+    const { committed, snapshot } = await withRetries(entryRef(dedupeKey), entry => {
+      if (isValid(entry, now) && entry.task !== key) return
+      return { task: key }
+    })
+    return committed ? null : snapshot.child('task').val()
+  }
+
+  // `keep` is the number of milliseconds a finished task keeps its dedupe key
+  async function release(dedupeKey, key, keep) {
+    const now = await serverNow(indexRef)
+    await withRetries(entryRef(dedupeKey), entry => {
+      if (entry === null) return null
+      if (entry.task !== key) return
+      return keep ? { task: key, expires: now + keep } : null
+    })
+  }
+
+  function isValid(entry, now) {
+    return entry !== null && (entry.expires === undefined || entry.expires > now)
+  }
+
+  function entryRef(dedupeKey) {
+    return indexRef.child(encode(dedupeKey))
+  }
+}
+
+// keys can not contain . # $ [ ] or /
+function encode(dedupeKey) {
+  return dedupeKey.replace(/[.#$[\]/%]/g, x => `%${x.charCodeAt(0).toString(16).toUpperCase()}`)
+}
@@ -0,0 +1,195 @@
+'use strict'
+
+const { withStatePriority } = require('./state_priority')
+const { taskPath } = require('./shards')
+const { RESERVED_KEYS, removeReservedKeys } = require('./reserved_keys')
+const { isObject, isString } = require('./validation')
+const { recordHistory } = require('./history')
+const { SERVER_TIMESTAMP, withRetries } = require('./transactions')
+
+const WAITING_STATE = '_waiting'
+
+module.exports = { Dependencies, WAITING_STATE, waitFor, hasDependencies }
+
+// A task with `_depends_on` (or a task that spawned children) waits (in `_waiting_for`) for its dependencies. The
+// dependents of a task are stored in `_dependents/$taskId` next to the tasks, when the task is resolved or fails
+// they are updated. Failed tasks are marked in `_failed/$taskId`, they might be removed (by the dead letter ref or
+// retention) before all of their dependents are added.
+function Dependencies({ tasksRef, numShards, spec, dedupe, history }) {
+
+  const { startState, inProgressState, finishedState, errorState } = spec
+  const dependentsRef = tasksRef.parent.child('_dependents')
+  const failedRef = tasksRef.parent.child('_failed')
+
+  this.toWaitingTask = toWaitingTask
+  this.createChildren = createChildren
+  this.spawn = spawn
+  this.spawned = spawned
+  this.registrationsOf = registrationsOf
+  this.registered = registered
+  this.register = register
+  this.resolved = resolved
+  this.failed = failed
+
+  function toWaitingTask(task) {
+    return waitFor(task, task._depends_on)
+  }
+
+  function createChildren(parentKey, tasks) {
+    if (finishedState === null) throw new Error('Spawning children requires a spec with a finishedState')
+    if (!Array.isArray(tasks) || !tasks.every(isObject)) throw new Error('Children must be an array of objects')
+
+    return tasks.map(task => {
+      const reservedKeys = Object.keys(task).filter(key => RESERVED_KEYS.includes(key))
+      if (reservedKeys.length) throw new Error(`Children can not contain reserved keys: ${reservedKeys.join(', ')}`)
+
+      const child = { ...task, _state: startState, _parent: parentKey }
+      return { key: dependentsRef.push().key, task: withStatePriority(child) }
+    })
+  }
+
+  // The children (and their registrations) are added before the parent is resolved, a failed write leaves the
+  // parent in progress. The parent receives the results of its children while it is still in progress.
+  async function spawn(parentKey, children) {
+    await tasksRef.parent.update(children.reduce(
+      (result, { key, task }) => ({
+        ...result,
+        [`${tasksRef.key}/${taskPath(key, numShards)}`]: task,
+        [`_dependents/${key}/${parentKey}`]: 'parent',
+      }),
+      {}
+    ))
+  }
+
+  // the children that failed before the parent was waiting for them are found by checking their state
+  async function spawned(parentKey, parent) {
+    if (isFinished(parent)) await resolved(parentKey, removeReservedKeys(parent))
+    else await Promise.all(Object.keys(parent._waiting_for).map(childKey => checkDependency(childKey, parentKey)))
+  }
+
+  // the registrations of a dependent, they should be written in the same (atomic) update as the dependent itself
+  function registrationsOf(key, dependsOn) {
+    return dependsOn.reduce((result, dependencyKey) => ({ ...result, [`_dependents/${dependencyKey}/${key}`]: true }), {})
+  }
+
+  // The dependent is registered before the state of the dependency is checked, the worker of the dependency
+  // changes the state before it looks for dependents. At least one of them will see the other.
+  async function registered(key, dependsOn) {
+    await Promise.all(dependsOn.map(dependencyKey => checkDependency(dependencyKey, key)))
+  }
+
+  // for tasks that were pushed without a producer, they are registered once they are waiting
+  async function register(key, dependsOn) {
+    await tasksRef.parent.update(registrationsOf(key, dependsOn))
+    await registered(key, dependsOn)
+  }
+
+  // a dependency that no longer exists is considered to be finished, unless it failed
+  async function checkDependency(dependencyKey, key) {
+    const dependency = (await taskRef(dependencyKey).once('value')).val() || await removedDependency(dependencyKey)
+    if (dependency === null || isFinished(dependency)) await resolveDependent(dependencyKey, key)
+    else if (dependency._state === errorState) await failDependent(dependencyKey, key)
+    else return
+
+    await dependentsRef.child(dependencyKey).child(key).remove()
+  }
+
+  async function removedDependency(dependencyKey) {
+    const failure = await failedRef.child(dependencyKey).once('value')
+    return failure.exists() ? { _state: errorState } : null
+  }
+
+  // a task that failed before (and was requeued) is no longer marked
+  async function resolved(dependencyKey, result) {
+    await failedRef.child(dependencyKey).remove()
+    await updateDependents(dependencyKey, (key, relation) =>
+      resolveDependent(dependencyKey, key, result, relation === 'parent')
+    )
+  }
+
+  async function failed(dependencyKey) {
+    await failedRef.child(dependencyKey).set(true)
+    await updateDependents(dependencyKey, key => failDependent(dependencyKey, key))
+  }
+
+  async function updateDependents(dependencyKey, update) {
+    const dependents = await dependentsRef.child(dependencyKey).once('value')
+    await Promise.all(Object.entries(dependents.val() || {}).map(([key, relation]) => update(key, relation)))
+    await dependentsRef.child(dependencyKey).remove()
+  }
+
+  // The results of children are collected in `_child_results` of the parent, also when the parent is not yet
+  // waiting for them. A parent that moves to the finished state is resolved as well.
+  async function resolveDependent(dependencyKey, key, result = null, isParent = false) {
+    const { committed, snapshot } = await withHistory(taskRef(key), task => {
+      if (task === null) return null
+      const waiting = isWaitingFor(task, dependencyKey)
+      const receivesResult = isParent && (waiting || task._state === inProgressState)
+      if (!waiting && !receivesResult) return
+
+      if (receivesResult) task._child_results = { ...task._child_results, [dependencyKey]: { finished: true, result } }
+      if (!waiting) return task
+
+      delete task._waiting_for[dependencyKey]
+      if (Object.keys(task._waiting_for).length) return task
+
+      task._state = task._scheduled_state || null
+      task._state_changed = SERVER_TIMESTAMP
+      task._scheduled_state = null
+      // a task with `_depends_on` would otherwise be seen as a task that still needs to wait
+      task._depends_on = null
+      return withStatePriority(task)
+    })
+    const task = committed && snapshot.val()
+    if (task && isFinished(task)) await resolved(key, removeReservedKeys(task))
+  }
+
+  // the failure is propagated to the dependents of the dependent
+  async function failDependent(dependencyKey, key) {
+    const { committed, snapshot } = await withHistory(taskRef(key), task => {
+      if (task === null) return null
+      if (!isWaitingFor(task, dependencyKey)) return
+
+      task._state = errorState
+      task._state_changed = SERVER_TIMESTAMP
+      task._scheduled_state = null
+      task._waiting_for = null
+      task._error_details = { error: `Dependency '${dependencyKey}' failed`, error_stack: null }
+      return withStatePriority(task)
+    })
+    if (!committed || !snapshot.exists()) return
+
+    const dedupeKey = dedupe && snapshot.child('_dedupe_key').val()
+    if (dedupeKey) await dedupe.index.release(dedupeKey, key, dedupe.window)
+    await failed(key)
+  }
+
+  function isFinished(task) {
+    return finishedState !== null && task._state === finishedState
+  }
+
+  function isWaitingFor(task, dependencyKey) {
+    return task._state === WAITING_STATE && Boolean(task._waiting_for && task._waiting_for[dependencyKey])
+  }
+
+  function taskRef(key) {
+    return tasksRef.child(taskPath(key, numShards))
+  }
+
+  async function withHistory(ref, transaction) {
+    return recordHistory({ history, ref, transaction, runTransaction: withRetries })
+  }
+}
+
+// the task moves to its current state once every dependency is finished
+function waitFor(task, dependencyKeys) {
+  task._scheduled_state = task._state || null
+  task._state = WAITING_STATE
+  task._waiting_for = dependencyKeys.reduce((result, key) => ({ ...result, [key]: true }), {})
+  return withStatePriority(task)
+}
+
+function hasDependencies(task) {
+  const dependsOn = task._depends_on
+  return Array.isArray(dependsOn) && dependsOn.length > 0 && dependsOn.every(x => isString(x) && x !== '')
+}
@@ -0,0 +1,11 @@
+'use strict'
+
+const DURATIONS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }
+
+module.exports = { DURATIONS, parseDuration }
+
+// parses a number followed by ms, s, m, h or d (for example `7d`) into milliseconds, returns `null` when invalid
+function parseDuration(x) {
+  const [, amount, unit] = /^(\d+)(ms|s|m|h|d)$/.exec(x) || []
+  return amount ? Number(amount) * DURATIONS[unit] : null
+}
@@ -0,0 +1,56 @@
+'use strict'
+
+module.exports = { toErrorDetails }
+
+// causes can be circular
+const MAX_CAUSES = 10
+
+// a serializable subset of the error, values that are not available are `null`
+function toErrorDetails(error) {
+  return { ...describe(error, 0), error_stack: (error && error.stack) || null }
+}
+
+function describe(error, depth) {
+  const isObject = error !== null && typeof error === 'object'
+  const { name, code, cause } = isObject ? error : {}
+  return {
+    error: messageOf(error),
+    name: typeof name === 'string' ? name : null,
+    code: typeof code === 'string' || typeof code === 'number' ? code : null,
+    details: isObject ? detailsOf(error) : null,
+    cause: cause !== undefined && cause !== null && depth < MAX_CAUSES ? describe(cause, depth + 1) : null,
+  }
+}
+
+function messageOf(error) {
+  return (
+    (error instanceof Error && error.message) ||
+    (typeof error === 'string' && error) ||
+    (error !== undefined && error !== null && error.toString()) ||
+    null
+  )
+}
+
+// values that can not be converted to JSON (functions and circular structures for example) are dropped
+function detailsOf(error) {
+  try {
+    const json = JSON.stringify(typeof error.toJSON === 'function' ? error.toJSON() : error.details)
+    return json === undefined ? null : withValidKeys(JSON.parse(json))
+  } catch (e) {
+    return null
+  }
+}
+
+// Firebase does not allow empty keys or keys with certain characters, those characters are escaped
+function withValidKeys(value) {
+  if (Array.isArray(value)) return value.map(withValidKeys)
+  if (value === null || typeof value !== 'object') return value
+  return Object.keys(value).filter(key => key !== '').reduce(
+    (result, key) => ({ ...result, [escapeKey(key)]: withValidKeys(value[key]) }),
+    {}
+  )
+}
+
+function escapeKey(key) {
+  return key.replace(/[.#$[\]/%\x00-\x1f\x7f]/g, x => `%${x.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`)
+}
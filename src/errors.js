@@ -0,0 +1,40 @@
+'use strict'
+
+class TimeoutError extends Error {
+  constructor(timeout) {
+    super(`Task timed out after ${timeout}ms`)
+    this.name = 'TimeoutError'
+    this.timeout = timeout
+  }
+}
+
+class ValidationError extends Error {
+  constructor(validation) {
+    super('Task data does not match the schema')
+    this.name = 'ValidationError'
+    this.validation = validation
+  }
+}
+
+class DuplicateError extends Error {
+  constructor(dedupeKey, key) {
+    super(`A task with dedupe key '${dedupeKey}' already exists: '${key}'`)
+    this.name = 'DuplicateError'
+    this.dedupeKey = dedupeKey
+    this.key = key
+  }
+}
+
+// `retryable` overrides the `retryOn` option (when not `null`), `code` and `details` end up in `_error_details`
+class QueueError extends Error {
+  constructor(message, { code = null, retryable = null, details = null, cause } = {}) {
+    super(message)
+    this.name = 'QueueError'
+    this.code = code
+    this.retryable = retryable
+    this.details = details
+    if (cause !== undefined) this.cause = cause
+  }
+}
+
+module.exports = { TimeoutError, ValidationError, DuplicateError, QueueError }
@@ -0,0 +1,52 @@
+'use strict'
+
+const { SERVER_TIMESTAMP } = require('./transactions')
+
+module.exports = { readHistory, recordHistory }
+
+// the entries in the audit ref when there is one (those are not capped), otherwise the `_history` of the task
+async function readHistory({ key, task, auditRef }) {
+  if (!auditRef) return (task && task._history) || []
+
+  const snapshot = await auditRef.child(key).once('value')
+  const entries = []
+  snapshot.forEach(x => { entries.push(x.val()) })
+  return entries
+}
+
+// Records every change of `_state` (and the removal of the task) made by the transaction in `_history` of the task
+// and / or in the audit ref. `runTransaction(ref, transaction)` runs the transaction (with retries).
+async function recordHistory({ history, ref, transaction, runTransaction }) {
+  if (!history) return runTransaction(ref, transaction)
+
+  const { maxEntries, auditRef } = history
+  let entry = null
+  const result = await runTransaction(ref, task => {
+    const before = task && { ...task }
+    const newTask = transaction(task)
+    entry = before && newTask !== undefined ? historyEntry(before, newTask) : null
+    if (entry && maxEntries && newTask) newTask._history = [...(before._history || []), entry].slice(-maxEntries)
+    return newTask
+  })
+  if (entry && auditRef && result.committed) await auditRef.child(ref.key).push(entry)
+  return result
+}
+
+function historyEntry(before, after) {
+  const from = before._state || null
+  // only the owner of a task removes it
+  if (after === null) return { from, to: null, owner: before._owner, at: SERVER_TIMESTAMP, error: null, removed: true }
+
+  const to = after._state || null
+  if (from === to) return null
+
+  // a new `_error_details` means the transition was caused by an error
+  const errorDetails = after._error_details !== before._error_details && after._error_details
+  return {
+    from,
+    to,
+    owner: after._owner || before._owner || null,
+    at: SERVER_TIMESTAMP,
+    error: (errorDetails && errorDetails.error) || null,
+  }
+}
@@ -0,0 +1,111 @@
+'use strict'
+
+module.exports = { compileSchema }
+
+// keywords without an effect on validation
+const ANNOTATIONS = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples']
+
+const KEYWORDS = {
+  type: types => {
+    const allowed = [].concat(types)
+    return data => !allowed.some(type => hasType(data, type)) && `must be of type ${allowed.join(' or ')}`
+  },
+  enum: values => data => !values.some(x => isEqual(x, data)) && `must be one of ${JSON.stringify(values)}`,
+  const: value => data => !isEqual(value, data) && `must be equal to ${JSON.stringify(value)}`,
+
+  minimum: limit => ifType('number', data => data < limit && `must be >= ${limit}`),
+  maximum: limit => ifType('number', data => data > limit && `must be <= ${limit}`),
+  exclusiveMinimum: limit => ifType('number', data => data <= limit && `must be > ${limit}`),
+  exclusiveMaximum: limit => ifType('number', data => data >= limit && `must be < ${limit}`),
+
+  minLength: limit => ifType('string', data => [...data].length < limit && `must have at least ${limit} characters`),
+  maxLength: limit => ifType('string', data => [...data].length > limit && `must have at most ${limit} characters`),
+  pattern: pattern => {
+    const regExp = new RegExp(pattern)
+    return ifType('string', data => !regExp.test(data) && `must match pattern ${pattern}`)
+  },
+
+  minItems: limit => ifType('array', data => data.length < limit && `must have at least ${limit} items`),
+  maxItems: limit => ifType('array', data => data.length > limit && `must have at most ${limit} items`),
+  items: (schema, _, schemaPath) => {
+    if (Array.isArray(schema)) throw new Error(`unsupported JSON Schema: tuples at ${schemaPath}`)
+    const validate = compile(schema, schemaPath)
+    return ifType('array', (data, path) => data.map((x, i) => validate(x, `${path}/${i}`)))
+  },
+
+  required: keys => ifType('object', (data, path) =>
+    keys.filter(key => !data.hasOwnProperty(key)).map(key => [{ path: `${path}/${key}`, message: 'is required' }])
+  ),
+  properties: (properties, _, schemaPath) => {
+    const validators = mapValues(properties, (schema, key) => compile(schema, `${schemaPath}/${key}`))
+    return ifType('object', (data, path) => Object.keys(data)
+      .filter(key => validators.hasOwnProperty(key))
+      .map(key => validators[key](data[key], `${path}/${key}`))
+    )
+  },
+  additionalProperties: (schema, { properties = {} }, schemaPath) => {
+    const validate = schema === false
+      ? (_, path) => [{ path, message: 'is not allowed' }]
+      : compile(schema === true ? {} : schema, schemaPath)
+    return ifType('object', (data, path) => Object.keys(data)
+      .filter(key => !properties.hasOwnProperty(key))
+      .map(key => validate(data[key], `${path}/${key}`))
+    )
+  },
+}
+
+// returns a function that returns the errors (`{ path, message }`) of the given data, no errors means it is valid
+function compileSchema(schema) {
+  const validate = compile(schema, '#')
+  return data => validate(data, '')
+}
+
+function compile(schema, schemaPath) {
+  const keys = Object.keys(schema).filter(key => !ANNOTATIONS.includes(key))
+  const unsupported = keys.filter(key => !KEYWORDS.hasOwnProperty(key))
+  if (unsupported.length) throw new Error(
+    `unsupported JSON Schema keyword(s) ${unsupported.map(x => `'${x}'`).join(', ')} at ${schemaPath}`
+  )
+
+  const validators = keys.map(key => KEYWORDS[key](schema[key], schema, `${schemaPath}/${key}`))
+  return (data, path) => flatten(validators.map(validate => toErrors(validate(data, path), path)))
+}
+
+// validators return `false`, an error message or lists of errors
+function toErrors(result, path) {
+  if (!result) return []
+  if (typeof result === 'string') return [{ path, message: result }]
+  return flatten(result)
+}
+
+function ifType(type, validate) {
+  return (data, path) => hasType(data, type) && validate(data, path)
+}
+
+function hasType(data, type) {
+  switch (type) {
+    case 'null': return data === null
+    case 'array': return Array.isArray(data)
+    case 'object': return typeof data === 'object' && data !== null && !Array.isArray(data)
+    case 'integer': return Number.isInteger(data)
+    case 'number': return typeof data === 'number' && isFinite(data)
+    default: return typeof data === type
+  }
+}
+
+function isEqual(a, b) {
+  if (a === b) return true
+  if (!hasType(a, 'object') && !hasType(a, 'array')) return false
+  if (Array.isArray(a) !== Array.isArray(b) || typeof b !== 'object' || b === null) return false
+
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length && keys.every(key => b.hasOwnProperty(key) && isEqual(a[key], b[key]))
+}
+
+function mapValues(o, f) {
+  return Object.keys(o).reduce((result, key) => ({ ...result, [key]: f(o[key], key) }), {})
+}
+
+function flatten(a) {
+  return [].concat(...a)
+}
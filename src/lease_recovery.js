@@ -0,0 +1,54 @@
+'use strict'
+
+const TransactionHelper = require('./transaction_helper')
+
+module.exports = LeaseRecovery
+
+function LeaseRecovery({
+  processId, tasksRef, spec, lease, history, dedupe, dependencies, serverTime, reportError
+}) {
+
+  const { inProgressState, errorState } = spec
+  const inProgressRef = tasksRef.orderByChild('_state').equalTo(inProgressState)
+
+  const transactionHelper = new TransactionHelper({ processId, spec, lease, history, serverTime })
+  let shutdownStarted = null
+  let nextSweep = null
+  let sweeping = sweepAndCatchError()
+
+  this.shutdown = shutdown
+
+  async function sweepAndCatchError() {
+    await sweep().catch(reportError)
+
+    if (!shutdownStarted) nextSweep = setTimeout(() => { sweeping = sweepAndCatchError() }, lease.duration)
+  }
+
+  async function sweep() {
+    const snapshot = await inProgressRef.once('value')
+
+    const expired = []
+    snapshot.forEach(x => { if (x.val()._lease_expires < serverTime.now()) expired.push(x.ref) })
+
+    await Promise.all(expired.map(releaseExpiredLease))
+  }
+
+  // a task that moved to the error state is treated like a rejected task
+  async function releaseExpiredLease(ref) {
+    const { committed, snapshot } = await transactionHelper.releaseExpiredLease(ref)
+    if (!committed || snapshot.child('_state').val() !== errorState) return
+
+    const dedupeKey = dedupe && snapshot.child('_dedupe_key').val()
+    if (dedupeKey) await dedupe.index.release(dedupeKey, ref.key, dedupe.window)
+    if (dependencies) await dependencies.failed(ref.key)
+  }
+
+  async function shutdown() {
+    /* istanbul ignore if - we could return the promise but rather signal the flaw at the caller */
+    if (shutdownStarted) throw new Error(`Shutdown was already called`)
+
+    shutdownStarted = true
+    clearTimeout(nextSweep)
+    await sweeping
+  }
+}
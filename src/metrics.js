@@ -0,0 +1,131 @@
+'use strict'
+
+const { check, isString, isFiniteNumber } = require('./validation.js')
+
+module.exports = Metrics
+
+// in seconds, the defaults of the Prometheus client libraries extended with a few larger buckets
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300]
+
+function Metrics({ prefix = 'firebase_queue_', buckets = DEFAULT_BUCKETS } = {}) {
+  if (!(this instanceof Metrics)) throw new Error('You forgot the `new` keyword: `new Metrics(...)`')
+
+  check(prefix, [isString, x => /^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(x)],
+    'prefix must be a valid Prometheus metric name prefix')
+
+  check(buckets, [Array.isArray, x => x.length > 0, x => x.every(isFiniteNumber), isIncreasing],
+    'buckets must be a non-empty array of increasing numbers')
+
+  const claimed = new Counter('tasks_claimed_total', 'Number of tasks that were claimed')
+  const resolved = new Counter('tasks_resolved_total', 'Number of tasks that were resolved')
+  const rejected = new Counter('tasks_rejected_total', 'Number of tasks that were rejected')
+  const retried = new Counter('tasks_retried_total', 'Number of rejected tasks that will be retried')
+  const progress = new Counter('progress_updates_total', 'Number of progress updates')
+  const claimFailed = new Counter('claims_failed_total', 'Number of claims that did not result in a task')
+  const claimDuration = new Histogram('claim_duration_seconds', 'Time it took to claim a task')
+  const processingDuration = new Histogram('processing_duration_seconds', 'Time it took to process a task')
+  const waitDuration = new Histogram('wait_duration_seconds', 'Time a task waited before it was claimed')
+  const metrics = [
+    claimed, resolved, rejected, retried, progress, claimFailed, claimDuration, processingDuration, waitDuration,
+  ]
+
+  const listeners = {
+    claimed: ({ spec, duration, claimDuration: claimTime }) => {
+      claimed.inc(spec)
+      claimDuration.observe(spec, claimTime)
+      if (duration !== null) waitDuration.observe(spec, duration)
+    },
+    claimFailed: ({ spec, duration }) => {
+      claimFailed.inc(spec)
+      claimDuration.observe(spec, duration)
+    },
+    progress: ({ spec }) => { progress.inc(spec) },
+    resolved: ({ spec, duration }) => {
+      resolved.inc(spec)
+      processingDuration.observe(spec, duration)
+    },
+    rejected: ({ spec, duration, retry }) => {
+      rejected.inc(spec)
+      if (retry) retried.inc(spec)
+      processingDuration.observe(spec, duration)
+    },
+  }
+
+  this.observe = observe
+  this.render = render
+  this.handler = handler
+
+  function observe(queue) {
+    const entries = Object.entries(listeners)
+    entries.forEach(([event, listener]) => { queue.on(event, listener) })
+    return () => { entries.forEach(([event, listener]) => { queue.removeListener(event, listener) }) }
+  }
+
+  function render() {
+    return metrics.map(x => x.render()).join('')
+  }
+
+  function handler(req, res) {
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' })
+    res.end(render())
+  }
+
+  function Counter(name, help) {
+    const values = {}
+
+    this.inc = inc
+    this.render = render
+
+    function inc(spec) {
+      const labels = labelsOf(spec)
+      values[labels] = (values[labels] || 0) + 1
+    }
+
+    function render() {
+      return header(name, help, 'counter') +
+        Object.entries(values).map(([labels, value]) => line(name, labels, value)).join('')
+    }
+  }
+
+  function Histogram(name, help) {
+    const values = {}
+
+    this.observe = observe
+    this.render = render
+
+    function observe(spec, milliseconds) {
+      const labels = labelsOf(spec)
+      const seconds = milliseconds / 1000
+      const value = values[labels] || (values[labels] = { buckets: buckets.map(() => 0), sum: 0, count: 0 })
+      buckets.forEach((bucket, i) => { if (seconds <= bucket) value.buckets[i] += 1 })
+      value.sum += seconds
+      value.count += 1
+    }
+
+    function render() {
+      return header(name, help, 'histogram') + Object.entries(values).map(([labels, value]) =>
+        buckets.map((bucket, i) => line(`${name}_bucket`, `${labels},le="${bucket}"`, value.buckets[i])).join('') +
+        line(`${name}_bucket`, `${labels},le="+Inf"`, value.count) +
+        line(`${name}_sum`, labels, value.sum) +
+        line(`${name}_count`, labels, value.count)
+      ).join('')
+    }
+  }
+
+  function header(name, help, type) {
+    return `# HELP ${prefix}${name} ${help}\n# TYPE ${prefix}${name} ${type}\n`
+  }
+
+  function line(name, labels, value) {
+    return `${prefix}${name}{${labels}} ${value}\n`
+  }
+}
+
+// the in progress state is the only state that is required and unique for a spec
+function labelsOf({ inProgressState }) {
+  return `state="${inProgressState.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+}
+
+function isIncreasing(x) {
+  return x.every((y, i) => i === 0 || y > x[i - 1])
+}
@@ -0,0 +1,116 @@
+'use strict'
+
+const Queue = require('./queue.js')
+const {
+  check, isFunction, isFirebaseRef, isString, isNull, isUndefined, isObject, isPositiveInteger,
+} = require('./validation.js')
+
+module.exports = Pipeline
+
+function Pipeline({
+  tasksRef,
+  reportError,
+  stages,
+  options: {
+    startState = null,
+    finishedState = null,
+    errorState = 'error'
+  } = {}
+}) {
+  if (!(this instanceof Pipeline)) throw new Error('You forgot the `new` keyword: `new Pipeline(...)`')
+
+  check(tasksRef, isFirebaseRef,
+    'tasksRef must be a Firebase reference')
+
+  check(reportError, isFunction,
+    'reportError must be a function')
+
+  check(stages, [Array.isArray, x => x.length > 0],
+    'stages must be a non-empty array')
+
+  stages.forEach(checkStage)
+
+  const specs = stages.map(deriveSpec)
+  checkChain(specs)
+
+  let shutdownStarted = null
+  const queues = createQueues()
+
+  this.specs = specs
+  this.shutdown = shutdown
+
+  async function shutdown() {
+    if (shutdownStarted) return shutdownStarted
+    shutdownStarted = shutdownInOrder()
+    return shutdownStarted
+  }
+
+  async function shutdownInOrder() {
+    // The next stage keeps running while the previous stage finishes the tasks it is working on. Unlike `shutdown`,
+    // `pause` does not abort the tasks in progress.
+    for (const queue of queues) await queue.pause()
+    await Promise.all(queues.map(queue => queue.shutdown()))
+  }
+
+  function checkStage(stage, index) {
+    check(stage, isObject,
+      `stages[${index}] must be an object`)
+
+    const { name, processTask, numWorkers = 1, options = {} } = stage
+
+    check(name, [isString, x => /^\w+$/.test(x)],
+      `stages[${index}].name must be a string of letters, digits or underscores`)
+
+    check(processTask, isFunction,
+      `stages[${index}].processTask must be a function`)
+
+    check(numWorkers, isPositiveInteger,
+      `stages[${index}].numWorkers must be a positive integer`)
+
+    check(options, [isObject, x => isUndefined(x.spec) && isUndefined(x.numWorkers)],
+      `stages[${index}].options must be an object without 'spec' and 'numWorkers'`)
+  }
+
+  function deriveSpec({ name }, index) {
+    const isFirst = index === 0
+    const isLast = index === stages.length - 1
+    return {
+      startState: isFirst ? startState : `${stages[index - 1].name}_finished`,
+      inProgressState: `${name}_in_progress`,
+      finishedState: isLast ? finishedState : `${name}_finished`,
+      errorState,
+    }
+  }
+
+  function checkChain(specs) {
+    // every state may only be used once, except for the link between two stages
+    const states = [
+      startState,
+      ...specs.reduce((result, { inProgressState, finishedState }) => [...result, inProgressState, finishedState], []),
+      errorState
+    ].filter(x => !isNull(x))
+
+    const duplicates = states.filter((x, i) => states.indexOf(x) !== i)
+    if (duplicates.length) throw new Error(
+      `stages and options result in duplicate states: ${duplicates.join(', ')}`
+    )
+  }
+
+  function createQueues() {
+    return stages.reduce(
+      (queues, { processTask, numWorkers = 1, options = {} }, index) => {
+        try {
+          const queue = new Queue({ tasksRef, processTask, reportError, options: {
+            ...options, spec: specs[index], numWorkers
+          } })
+          return [...queues, queue]
+        } catch (e) {
+          // do not leave the stages that were already started running
+          queues.forEach(queue => { queue.shutdown().catch(reportError) })
+          throw e
+        }
+      },
+      []
+    )
+  }
+}
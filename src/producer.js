@@ -0,0 +1,190 @@
+'use strict'
+
+const { RESERVED_KEYS, removeReservedKeys } = require('./reserved_keys.js')
+const { withStatePriority } = require('./state_priority.js')
+const { taskPath } = require('./shards.js')
+const Dedupe = require('./dedupe.js')
+const { Dependencies } = require('./dependencies.js')
+const { DuplicateError } = require('./errors.js')
+const {
+  check, checkSpec, isFirebaseRef, isString, isNull, isUndefined, isObject, isFiniteNumber, isPositiveNumber,
+  isPositiveInteger, isOneOf,
+} = require('./validation.js')
+
+module.exports = Producer
+
+// producers are allowed to delay a task, set its timeout, its dedupe key and its dependencies, the other reserved
+// keys are managed by the queue
+const PRODUCER_KEYS = ['_run_at', '_timeout', '_dedupe_key', '_depends_on']
+
+function Producer({
+  tasksRef,
+  options: {
+    spec: {
+      startState = null,
+      inProgressState = 'in_progress',
+      finishedState = null,
+      errorState = 'error'
+    } = {},
+    reservedKeys = 'reject',
+    numShards = null,
+    dedupe: {
+      indexRef = null,
+      onDuplicate = 'merge'
+    } = {}
+  } = {}
+}) {
+  if (!(this instanceof Producer)) throw new Error('You forgot the `new` keyword: `new Producer(...)`')
+
+  const spec = { startState, inProgressState, finishedState, errorState }
+  check(tasksRef, isFirebaseRef,
+    'tasksRef must be a Firebase reference')
+
+  checkSpec(spec)
+
+  check(reservedKeys, isOneOf('reject', 'strip'),
+    'options.reservedKeys must be \'reject\' or \'strip\'')
+
+  check(numShards, isNull, isPositiveInteger,
+    'options.numShards must be null or a positive integer')
+
+  check(indexRef, isNull, isFirebaseRef,
+    'options.dedupe.indexRef must be null or a Firebase reference')
+
+  check(onDuplicate, isOneOf('merge', 'reject'),
+    'options.dedupe.onDuplicate must be \'merge\' or \'reject\'')
+
+  const dedupe = indexRef && new Dedupe({ indexRef })
+  // the producer does not know the dedupe window of the queue, a task that fails here releases its key at once
+  const dependencies = new Dependencies({
+    tasksRef, numShards, spec, dedupe: dedupe && { index: dedupe, window: 0 }, history: null
+  })
+
+  this.enqueue = enqueue
+  this.enqueueBatch = enqueueBatch
+  this.enqueueAndWait = enqueueAndWait
+
+  async function enqueue(data) {
+    const [key] = await enqueueBatch([data])
+    return key
+  }
+
+  async function enqueueBatch(tasks) {
+    check(tasks, Array.isArray, 'tasks must be an array')
+
+    const newTasks = tasks.map(toNewTask)
+    const keys = newTasks.map(() => tasksRef.push().key)
+    const duplicateOf = await reserveDedupeKeys(newTasks, keys)
+    const duplicate = duplicateOf.findIndex(x => x !== null)
+    if (duplicate >= 0 && onDuplicate === 'reject') {
+      await releaseDedupeKeys(newTasks, keys, duplicateOf)
+      throw new DuplicateError(newTasks[duplicate]._dedupe_key, duplicateOf[duplicate])
+    }
+
+    try {
+      // a single update is atomic, either all tasks (and their registrations as dependents) are added or none of them
+      await tasksRef.parent.update(keys.reduce(
+        (result, key, i) => duplicateOf[i] ? result : {
+          ...result,
+          [`${tasksRef.key}/${taskPath(key, numShards)}`]: newTasks[i],
+          ...(newTasks[i]._waiting_for && dependencies.registrationsOf(key, newTasks[i]._depends_on)),
+        },
+        {}
+      ))
+    } catch (e) {
+      await releaseDedupeKeys(newTasks, keys, duplicateOf)
+      throw e
+    }
+    await Promise.all(newTasks.map((task, i) =>
+      task._waiting_for && !duplicateOf[i] && dependencies.registered(keys[i], task._depends_on)
+    ))
+    // a duplicate is merged with the task that holds its dedupe key
+    return keys.map((key, i) => duplicateOf[i] || key)
+  }
+
+  // the key of the task that holds the dedupe key for every task that is a duplicate, `null` for the others
+  async function reserveDedupeKeys(newTasks, keys) {
+    return Promise.all(newTasks.map(({ _dedupe_key }, i) =>
+      dedupe && _dedupe_key !== undefined ? dedupe.reserve(_dedupe_key, keys[i]) : null
+    ))
+  }
+
+  async function releaseDedupeKeys(newTasks, keys, duplicateOf) {
+    await Promise.all(newTasks.map(({ _dedupe_key }, i) =>
+      dedupe && _dedupe_key !== undefined && !duplicateOf[i] && dedupe.release(_dedupe_key, keys[i], 0)
+    ))
+  }
+
+  async function enqueueAndWait(data) {
+    const key = await enqueue(data)
+    return waitForResult(tasksRef.child(taskPath(key, numShards)))
+  }
+
+  function toNewTask(data) {
+    check(data, isObject,
+      'task data must be an object')
+
+    const reserved = Object.keys(data).filter(isReservedKey)
+    if (reserved.length && reservedKeys === 'reject') throw new Error(
+      `task data contains reserved keys: ${reserved.join(', ')}`
+    )
+
+    const task = { ...data }
+    reserved.forEach(key => { delete task[key] })
+
+    check(task._run_at, isUndefined, isFiniteNumber,
+      'task data _run_at must be a number')
+
+    check(task._priority, isUndefined, isFiniteNumber,
+      'task data _priority must be a number')
+
+    check(task._timeout, isUndefined, isPositiveNumber,
+      'task data _timeout must be a positive number')
+
+    check(task._dedupe_key, isUndefined, isNonEmptyString,
+      'task data _dedupe_key must be a non-empty string')
+
+    check(task._depends_on, isUndefined, [Array.isArray, x => x.every(isNonEmptyString)],
+      'task data _depends_on must be an array of task keys')
+
+    check(task._depends_on, isUndefined, () => task._run_at === undefined,
+      'task data can not have both _depends_on and _run_at')
+
+    if (startState !== null) task._state = startState
+    if (task._depends_on && task._depends_on.length) dependencies.toWaitingTask(task)
+    return withStatePriority(task)
+  }
+
+  function waitForResult(taskRef) {
+    return new Promise((resolve, reject) => {
+      taskRef.on('value', handleTask, reject)
+
+      function handleTask(snapshot) {
+        const task = snapshot.val()
+        if (task === null) settle(resolve, null)
+        else if (task._state === errorState) settle(reject, toError(task._error_details))
+        else if (finishedState !== null && task._state === finishedState) settle(resolve, removeReservedKeys(task))
+      }
+
+      function settle(f, value) {
+        taskRef.off('value', handleTask)
+        f(value)
+      }
+    })
+  }
+}
+
+function isNonEmptyString(x) {
+  return isString(x) && x.length > 0
+}
+
+function isReservedKey(key) {
+  return RESERVED_KEYS.includes(key) && !PRODUCER_KEYS.includes(key)
+}
+
+function toError(details) {
+  const error = new Error((details && details.error) || 'Task failed without an error message')
+  error.code = (details && details.code) || null
+  error.details = details || null
+  return error
+}
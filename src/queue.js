@@ -1,9 +1,31 @@
 'use strict'
 
+const { EventEmitter } = require('events')
+const { inherits } = require('util')
 const QueueWorker = require('./queue_worker.js')
+const LeaseRecovery = require('./lease_recovery.js')
+const Scheduler = require('./scheduler.js')
+const ServerTime = require('./server_time.js')
+const DeadLetter = require('./dead_letter.js')
+const TaskDispatcher = require('./task_dispatcher.js')
+const ShardedDispatcher = require('./sharded_dispatcher.js')
+const RateLimiter = require('./rate_limiter.js')
+const Retention = require('./retention.js')
+const Dedupe = require('./dedupe.js')
+const { Dependencies } = require('./dependencies.js')
+const { compileSchema } = require('./json_schema.js')
+const { statePriorityRange } = require('./state_priority.js')
+const { shardRefs } = require('./shards.js')
+const { parseDuration } = require('./durations.js')
+const {
+  check, checkSpec, isFunction, isFirebaseRef, isString, isBoolean, isNull, isObject, isPositiveInteger,
+  isPositiveNumber, isNonNegativeInteger, isNonNegativeNumber, isDuration, isAtLeast, isOneOf,
+} = require('./validation.js')
 
 module.exports = Queue
 
+inherits(Queue, EventEmitter)
+
 function Queue({
   tasksRef,
   processTask,
@@ -13,14 +35,62 @@ function Queue({
       startState = null,
       inProgressState = 'in_progress',
       finishedState = null,
-      errorState = 'error'
+      errorState = 'error',
+      schema = null
+    } = {},
+    numWorkers = 1,
+    numShards = null,
+    prioritized = false,
+    dependencies: withDependencies = false,
+    scheduling: withScheduling = false,
+    taskTimeout = null,
+    lease: {
+      duration = null,
+      maxRecoveries = 3
+    } = {},
+    presence: {
+      heartbeatInterval = null,
+      workersRef = null
+    } = {},
+    retry: {
+      maxAttempts = 1,
+      backoff = 'exponential',
+      baseDelay = 1000,
+      maxDelay = 60000,
+      retryOn = () => true
+    } = {},
+    deadLetterRef = null,
+    rateLimit: {
+      tokens = null,
+      interval = 1000,
+      bucketRef = null
+    } = {},
+    dedupe: {
+      indexRef = null,
+      window = 0
+    } = {},
+    history: {
+      maxEntries = null,
+      auditRef = null
     } = {},
-    numWorkers = 1
+    retention: {
+      finished = null,
+      error = null,
+      archiveRef = null,
+      batchSize = 100,
+      interval: sweepInterval = 60000
+    } = {}
   } = {}
 }) {
   if (!(this instanceof Queue)) throw new Error('You forgot the `new` keyword: `new Queue(...)`')
+  EventEmitter.call(this)
+  const queue = this
 
   const spec = { startState, inProgressState, finishedState, errorState }
+  const lease = duration === null ? null : { duration, maxRecoveries }
+  const retry = { maxAttempts, backoff, baseDelay, maxDelay, retryOn }
+  // retries delay the tasks that are tried again
+  const scheduling = withScheduling || maxAttempts > 1
   check(tasksRef, isFirebaseRef,
     'tasksRef must be a Firebase reference')
 
@@ -30,69 +100,344 @@ function Queue({
   check(reportError, isFunction,
     'reportError must be a function')
 
-  check(inProgressState, isString,
-    'options.spec.inProgressState must be a string')
+  checkSpec(spec)
 
-  check(startState, isNull, [isString, not(inProgressState)],
-    'options.spec.startState must be null or a string that !== inProgressState')
-
-  check(finishedState, isNull, [isString, not(inProgressState), not(startState)],
-    'options.spec.finishedState must be null or a string that !== inProgressState and !== startState')
-
-  check(errorState, [isString, not(inProgressState), not(startState), not(finishedState)],
-    'options.spec.errorState must be a string that !== inProgressState and !== startState and !== finishedState')
+  check(schema, isNull, isFunction, isObject,
+    'options.spec.schema must be null, a function or a JSON Schema object')
 
   check(numWorkers, isPositiveInteger,
     'options.numWorkers must be a positive integer')
 
+  check(numShards, isNull, isPositiveInteger,
+    'options.numShards must be null or a positive integer')
+
+  check(prioritized, isBoolean,
+    'options.prioritized must be a boolean')
+
+  check(withDependencies, isBoolean,
+    'options.dependencies must be a boolean')
+
+  check(withScheduling, isBoolean,
+    'options.scheduling must be a boolean')
+
+  check(taskTimeout, isNull, isPositiveNumber,
+    'options.taskTimeout must be null or a positive number')
+
+  check(duration, isNull, isPositiveNumber,
+    'options.lease.duration must be null or a positive number')
+
+  check(maxRecoveries, isNonNegativeInteger,
+    'options.lease.maxRecoveries must be a non-negative integer')
+
+  check(heartbeatInterval, isNull, isPositiveNumber,
+    'options.presence.heartbeatInterval must be null or a positive number')
+
+  check(workersRef, isNull, isFirebaseRef,
+    'options.presence.workersRef must be null or a Firebase reference')
+
+  check(maxAttempts, isPositiveInteger,
+    'options.retry.maxAttempts must be a positive integer')
+
+  check(backoff, isOneOf('exponential', 'fixed'),
+    'options.retry.backoff must be \'exponential\' or \'fixed\'')
+
+  check(baseDelay, isNonNegativeNumber,
+    'options.retry.baseDelay must be a non-negative number')
+
+  check(maxDelay, [isNonNegativeNumber, isAtLeast(baseDelay)],
+    'options.retry.maxDelay must be a number that >= options.retry.baseDelay')
+
+  check(retryOn, isFunction,
+    'options.retry.retryOn must be a function')
+
+  check(deadLetterRef, isNull, isFirebaseRef,
+    'options.deadLetterRef must be null or a Firebase reference')
+
+  check(tokens, isNull, isPositiveInteger,
+    'options.rateLimit.tokens must be null or a positive integer')
+
+  check(interval, isPositiveNumber,
+    'options.rateLimit.interval must be a positive number')
+
+  check(bucketRef, isNull, isFirebaseRef,
+    'options.rateLimit.bucketRef must be null or a Firebase reference')
+
+  check(indexRef, isNull, isFirebaseRef,
+    'options.dedupe.indexRef must be null or a Firebase reference')
+
+  check(window, isNonNegativeNumber, isDuration,
+    'options.dedupe.window must be a non-negative number or a duration (a string like \'1h\')')
+
+  check(maxEntries, isNull, isPositiveInteger,
+    'options.history.maxEntries must be null or a positive integer')
+
+  check(auditRef, isNull, isFirebaseRef,
+    'options.history.auditRef must be null or a Firebase reference')
+
+  check(finished, isNull, [isDuration, () => finishedState !== null],
+    'options.retention.finished must be null or a duration (milliseconds or a string like \'3d\'), ' +
+    'it requires options.spec.finishedState')
+
+  check(error, isNull, isDuration,
+    'options.retention.error must be null or a duration (milliseconds or a string like \'30d\')')
+
+  check(archiveRef, isNull, isFirebaseRef,
+    'options.retention.archiveRef must be null or a Firebase reference')
+
+  check(batchSize, isPositiveInteger,
+    'options.retention.batchSize must be a positive integer')
+
+  check(sweepInterval, isPositiveNumber,
+    'options.retention.interval must be a positive number')
+
+  const presence = heartbeatInterval === null ? null : {
+    heartbeatInterval,
+    workersRef: workersRef || tasksRef.parent.child('_workers')
+  }
+
+  const dedupe = indexRef && { index: new Dedupe({ indexRef }), window: toMilliseconds(window) }
+
+  const history = maxEntries === null && auditRef === null ? null : { maxEntries, auditRef }
+
+  const dependencies = withDependencies && new Dependencies({ tasksRef, numShards, spec, dedupe, history })
+
+  const retention = finished === null && error === null ? null : {
+    finished: toMilliseconds(finished),
+    error: toMilliseconds(error),
+    archiveRef,
+    batchSize,
+    interval: sweepInterval
+  }
+
+  const validate = schema && (isFunction(schema) ? schema : compileSchema(schema))
+
+  const deadLetter = deadLetterRef && new DeadLetter({ tasksRef, numShards, deadLetterRef, spec })
+
   const queueId = tasksRef.push().key
   let shutdownStarted = null
-  let removeWorkers  = createWorkers()
+  let workers = createWorkers()
 
   this.shutdown = shutdown
+  this.redrive = redrive
+  this.pause = pause
+  this.resume = resume
+  this.drain = drain
+  this.setNumWorkers = setNumWorkers
 
   async function shutdown() {
     if (shutdownStarted) return shutdownStarted
-    shutdownStarted = removeWorkers()
-    removeWorkers = null // make sure no references to workers are being kept and allow garbage collection
+    shutdownStarted = removeWorkersAndEmit(workers.remove)
+    workers = null // make sure no references to workers are being kept and allow garbage collection
     return shutdownStarted
   }
 
+  async function pause() {
+    checkNotShutDown('pause')
+    await workers.pause()
+  }
+
+  function resume() {
+    checkNotShutDown('resume')
+    workers.resume()
+  }
+
+  async function drain() {
+    checkNotShutDown('drain')
+    await workers.drain()
+  }
+
+  async function setNumWorkers(numWorkers) {
+    checkNotShutDown('setNumWorkers')
+
+    check(numWorkers, isPositiveInteger,
+      'numWorkers must be a positive integer')
+
+    await workers.resize(numWorkers)
+  }
+
+  function checkNotShutDown(method) {
+    if (shutdownStarted) throw new Error(`Can not ${method}, the queue has been shut down`)
+  }
+
+  async function removeWorkersAndEmit(removeWorkers) {
+    const started = Date.now()
+    await removeWorkers()
+    emit('shutdown', { key: null, spec, processId: queueId, owner: null, duration: Date.now() - started })
+  }
+
+  function emit(event, details) {
+    // a failing listener should not influence the processing of tasks
+    try { queue.emit(event, details) }
+    catch (e) { reportError(e) }
+  }
+
+  async function redrive(keys, { state = startState } = {}) {
+    if (!deadLetter) throw new Error('redrive requires options.deadLetterRef')
+
+    check(keys, [Array.isArray, x => x.every(isString)],
+      'keys must be an array of strings')
+
+    check(state, isNull, isString,
+      'state must be null or a string')
+
+    return deadLetter.redrive(keys, state)
+  }
+
   function createWorkers() {
-    const workers = [...Array(numWorkers).keys()].map(createWorker)
+    const serverTime = new ServerTime({ ref: tasksRef })
+    const shards = shardRefs(tasksRef, numShards)
+    const recoveries = lease ? shards.map(createLeaseRecovery) : []
+    const sweepers = retention ? shards.map(createRetention) : []
+    const schedulers = scheduling ? shards.map(createScheduler) : []
+    const rateLimiter = tokens && new RateLimiter({
+      bucketRef: bucketRef || tasksRef.parent.child('_rate_limits').child(inProgressState),
+      tokens,
+      interval,
+      serverTime
+    })
+    const dispatcher = new ShardedDispatcher({ dispatchers: shards.map(createDispatcher) })
+    const queueWorkers = []
+    const retiringWorkers = new Set()
+    let nextWorkerIndex = 0
+    let paused = false
+
+    resize(numWorkers)
+
+    return {
+      remove: async () => {
+        await Promise.all([...queueWorkers.map(worker => worker.shutdown()), ...retiringWorkers])
+        dispatcher.shutdown()
+        await Promise.all(recoveries.map(recovery => recovery.shutdown()))
+        await Promise.all(sweepers.map(sweeper => sweeper.shutdown()))
+        await Promise.all(schedulers.map(scheduler => scheduler.shutdown()))
+        serverTime.shutdown()
+      },
+      pause: async () => {
+        paused = true
+        await Promise.all(queueWorkers.map(worker => worker.pause()))
+      },
+      resume: () => {
+        paused = false
+        queueWorkers.forEach(worker => { worker.resume() })
+      },
+      resize,
+      drain,
+    }
 
-    return async () => {
-      await Promise.all(workers.map(worker => worker.shutdown()))
+    async function resize(numWorkers) {
+      dispatcher.setWindowSize(numWorkers)
+      while (queueWorkers.length < numWorkers) {
+        // every worker gets a fresh process id, also when it replaces a retired worker
+        const worker = createWorker(nextWorkerIndex++)
+        if (paused) worker.pause()
+        queueWorkers.push(worker)
+      }
+      await Promise.all(queueWorkers.splice(numWorkers).map(retire))
+    }
+
+    // unlike shutdown, retiring does not abort the current task
+    async function retire(worker) {
+      const retired = worker.pause().then(() => worker.shutdown())
+      retiringWorkers.add(retired)
+      await retired
+      retiringWorkers.delete(retired)
+    }
+
+    // resolves when none of the workers is processing a task and there are no tasks waiting to be claimed
+    function drain() {
+      return new Promise(resolve => {
+        let waiting = true
+        const stopWatching = dispatcher.watchCandidates(handleCandidates)
+
+        function handleCandidates(hasCandidates) {
+          waiting = hasCandidates
+          if (waiting) return
+
+          Promise.all([...queueWorkers.map(worker => worker.whenIdle()), ...retiringWorkers]).then(() => {
+            // a task might have been added while the workers were busy
+            if (waiting) return
+            stopWatching()
+            resolve()
+          })
+        }
+      })
+    }
+
+    function createDispatcher(shardRef) {
+      return new TaskDispatcher({
+        createQuery: limit => createNewTasksQuery(shardRef, limit),
+        windowSize: numWorkers,
+        reportError
+      })
+    }
+
+    function createNewTasksQuery(shardRef, limit) {
+      if (!prioritized) return shardRef.orderByChild('_state').equalTo(startState).limitToFirst(limit)
+
+      const [highest, lowest] = statePriorityRange(startState)
+      return shardRef.orderByChild('_state_priority').startAt(highest).endAt(lowest).limitToFirst(limit)
     }
 
     function createWorker(index) {
       return new QueueWorker({
         processId: `${queueId}:${index}`,
-        tasksRef,
+        dispatcher: dispatcher.forWorker(index),
         spec,
+        validate,
+        taskTimeout,
+        lease,
+        presence,
+        retry,
+        scheduling,
+        history,
+        dedupe,
+        dependencies,
+        deadLetter,
+        rateLimiter,
+        serverTime,
         processTask,
+        reportError,
+        emit
+      })
+    }
+
+    function createLeaseRecovery(shardRef) {
+      return new LeaseRecovery({
+        processId: `${queueId}:recovery`,
+        tasksRef: shardRef,
+        spec,
+        lease,
+        history,
+        dedupe,
+        dependencies,
+        serverTime,
+        reportError
+      })
+    }
+
+    function createRetention(shardRef) {
+      return new Retention({
+        tasksRef: shardRef,
+        spec,
+        retention,
+        serverTime,
         reportError
       })
     }
-  }
 
-  function isFunction(x) { return typeof x === 'function' }
-  function isFirebaseRef(x) { return x && [x.on, x.off, x.transaction, x.orderByChild, x.push].every(isFunction) }
-  function isString(x) { return typeof x === 'string' }
-  function isNull(x) { return x === null }
-  function not(y) { return x => x !== y }
-  function isPositiveInteger(x) { return typeof x === 'number' && x >= 1 && x % 1 === 0 }
-
-  function check(val, ...rest) {
-    const message = rest[rest.length - 1]
-    const or = rest.slice(0, rest.length -1)
-    const valid = or.reduce(
-      (result, and) => result || [].concat(and).reduce(
-        (result, isValid) => result && isValid(val),
-        true
-      ),
-      false
-    )
-    if (!valid) throw new Error(message)
+    function createScheduler(shardRef) {
+      return new Scheduler({
+        processId: `${queueId}:scheduler`,
+        tasksRef: shardRef,
+        spec,
+        history,
+        serverTime,
+        reportError
+      })
+    }
   }
 }
+
+function toMilliseconds(duration) {
+  return typeof duration === 'string' ? parseDuration(duration) : duration
+}
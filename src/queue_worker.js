@@ -1,73 +1,245 @@
 'use strict'
 
+const AbortController = require('./abort_controller')
+const { TimeoutError, ValidationError } = require('./errors')
 const TransactionHelper = require('./transaction_helper')
+const WorkerPresence = require('./worker_presence')
+const { removeReservedKeys } = require('./reserved_keys')
+const { readHistory } = require('./history')
+const { WAITING_STATE } = require('./dependencies')
 
 module.exports = QueueWorker
 
-function QueueWorker({ processId, tasksRef, spec, processTask, reportError }) {
+function QueueWorker({
+  processId, dispatcher, spec, validate, taskTimeout, lease, presence, retry, scheduling, history, dedupe,
+  dependencies, deadLetter, rateLimiter, serverTime, processTask, reportError, emit
+}) {
 
-  const { startState } = spec
-  const newTaskRef = tasksRef.orderByChild('_state').equalTo(startState).limitToFirst(1)
+  const { inProgressState, errorState } = spec
 
-  let transactionHelper = new TransactionHelper({ processId, spec })
+  const workerPresence = presence && new WorkerPresence({ processId, spec, ...presence, serverTime, reportError })
+
+  let transactionHelper = new TransactionHelper({
+    processId, spec, lease, retry, scheduling, dependencies: Boolean(dependencies), history, serverTime, reportError
+  })
   let shutdownStarted = null
-  let busy = false
+  let processing = null
+  let paused = false
+  let listening = false
+  let abortCurrentTask = null
 
   this.shutdown = shutdown
+  this.pause = pause
+  this.resume = resume
+  this.whenIdle = whenIdle
 
   waitForNextTask()
 
   function waitForNextTask() {
-    newTaskRef.on('child_added', tryToProcessAndCatchError, reportError)
+    // `resume` (which might have started processing a task) or `shutdown` might have been called before a
+    // scheduled call to this function
+    if (listening || processing || paused || shutdownStarted) return
+    listening = true
+    dispatcher.wait(tryToProcessAndCatchError)
   }
 
   function stopWaitingForNextTask() {
-    newTaskRef.off('child_added', tryToProcessAndCatchError)
+    listening = false
+    dispatcher.stopWaiting(tryToProcessAndCatchError)
   }
 
-  async function tryToProcessAndCatchError({ ref }) {
+  async function tryToProcessAndCatchError(snapshot) {
     stopWaitingForNextTask()
 
-    busy = true
-    await claimAndProcess(ref).catch(reportError)
-    busy = false
+    const started = Date.now()
+    processing = claimAndProcess(snapshot).catch(reportError)
+    await processing
+    processing = null
 
     if (shutdownStarted) finishShutdown()
-    else setImmediate(waitForNextTask) // let node.js breathe
+    else {
+      emitEvent('workerIdle', { key: snapshot.key, duration: Date.now() - started })
+      setImmediate(waitForNextTask) // let node.js breathe
+    }
   }
 
-  async function claimAndProcess(ref) {
-    const nextTransactionHelper = transactionHelper.cloneForNextTask()
-    const { committed, snapshot } = await nextTransactionHelper.claim(ref)
+  async function claimAndProcess(unclaimed) {
+    const { ref, key } = unclaimed
+    // created before claiming to make sure a shutdown during the claim is signalled
+    const controller = new AbortController()
+    abortCurrentTask = reason => { controller.abort(reason) }
+    try {
+      // a shutdown while waiting for a token leaves the task for other workers
+      if (rateLimiter && !await rateLimiter.take(controller.signal)) return
+
+      const started = Date.now()
+      const nextTransactionHelper = transactionHelper.cloneForNextTask()
+      const { owner } = nextTransactionHelper
+      const { committed, snapshot } = await nextTransactionHelper.claim(ref)
 
-    if (committed && snapshot.exists()) {
-      transactionHelper = nextTransactionHelper
-      await process(snapshot)
+      if (committed && snapshot.exists() && snapshot.child('_state').val() === inProgressState) {
+        transactionHelper = nextTransactionHelper
+        const waitingSince = unclaimed.child('_state_changed').val()
+        const duration = waitingSince && snapshot.child('_state_changed').val() - waitingSince
+        emitEvent('claimed', { key, owner, duration, claimDuration: Date.now() - started })
+
+        if (workerPresence) workerPresence.processing(snapshot)
+        try { await process(snapshot, controller) }
+        finally { if (workerPresence) workerPresence.idle() }
+      } else {
+        // another worker was first, the task was removed or it should not be processed yet
+        emitEvent('claimFailed', { key, owner, duration: Date.now() - started })
+        const waiting = committed && snapshot.child('_state').val() === WAITING_STATE
+        if (waiting) await dependencies.register(key, snapshot.child('_depends_on').val())
+      }
+    } finally {
+      abortCurrentTask = null
     }
   }
 
-  async function process(snapshot) {
-    const { ref } = snapshot
+  async function process(snapshot, controller) {
+    const { ref, key } = snapshot
+    const { signal } = controller
+    const owner = snapshot.child('_owner').val()
+    const started = Date.now()
+
+    const data = removeReservedKeys(snapshot.val())
+    const getHistory = () => readHistory({ key, task: snapshot.val(), auditRef: history && history.auditRef })
+
+    // duplicates that were not pushed by a producer with the same dedupe index are skipped
+    const dedupeKey = dedupe && snapshot.child('_dedupe_key').val()
+    const duplicateOf = dedupeKey && await dedupe.index.reserve(dedupeKey, key)
+    if (duplicateOf) return skipDuplicate(duplicateOf)
 
-    const data = snapshot.val()
-    removeQueueProperties(data)
+    // the results of the children spawned in the previous stage
+    const childResults = (snapshot.child('_children').val() || [])
+      .map(childKey => snapshot.child('_child_results').child(childKey).child('result').val())
+    const children = []
+    const parentKey = dependencies && snapshot.child('_parent').val()
+
+    const stopRenewingLease = lease ? renewLeasePeriodically() : noop
+    const stopWatchingTask = watchTask()
+
+    const result = new Promise(resolve => {
+      const validation = validate && validate(data)
+      if (validation && validation.length) throw new ValidationError(validation)
+      resolve(processTask(data, { snapshot, setProgress, signal, getHistory, spawn, childResults }))
+    })
+    await withTimeout(result).then(addChildren).then(resolve, reject)
+
+    function withTimeout(result) {
+      const timeout = timeoutOf(snapshot)
+      if (!timeout) return result
+
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(
+          () => {
+            const error = new TimeoutError(timeout)
+            controller.abort(error)
+            reject(error)
+          },
+          timeout
+        )
+        // a result that arrives after the timeout is ignored, the promise has already been rejected
+        result.then(resolve, reject).then(() => { clearTimeout(timer) })
+      })
+    }
 
-    await new Promise(resolve => resolve(processTask(data, { snapshot, setProgress })))
-      .then(resolve, reject)
+    function watchTask() {
+      ref.on('value', abortWhenLost, reportError)
+      return () => { ref.off('value', abortWhenLost) }
 
-    function removeQueueProperties(task) {
-      const properties = ['_state', '_state_changed', '_owner', '_progress', '_error_details']
-      properties.forEach(properties => { delete task[properties] })
+      function abortWhenLost(snapshot) {
+        const reason =
+          (!snapshot.exists() && 'Task was removed') ||
+          (snapshot.child('_owner').val() !== owner && 'Task is owned by another worker') ||
+          (snapshot.child('_state').val() !== inProgressState && 'Task is no longer in progress')
+        if (reason) controller.abort(new Error(reason))
+      }
+    }
+
+    function renewLeasePeriodically() {
+      let renewal = null
+      const interval = setInterval(
+        () => {
+          renewal = renewLease().catch(e => {
+            clearInterval(interval)
+            reportError(e)
+          })
+        },
+        lease.duration / 2
+      )
+
+      return async () => {
+        clearInterval(interval)
+        await renewal
+      }
+    }
+
+    async function renewLease() {
+      const { committed, snapshot } = await transactionHelper.renewLease(ref)
+
+      if (!committed || !snapshot.exists()) throw new Error('Can\'t renew lease - ' +
+        'current task no longer owned by this process, ' +
+        'task no longer in progress, ' +
+        'task has been removed or ' +
+        'network communication failure'
+      )
     }
 
     async function resolve(newTask) {
-      const { committed } = await transactionHelper.resolveWith(ref, newTask)
+      stopWatchingTask()
+      await stopRenewingLease()
+      const result = removeReservedKeys({ ...(newTask || data) })
+      // a child is removed when it is resolved, its result is stored in the parent first
+      if (parentKey) await dependencies.resolved(key, result)
+
+      const childKeys = children.length ? children.map(x => x.key) : null
+      const { committed, snapshot } = await transactionHelper.resolveWith(ref, newTask, childKeys)
       if (!committed) throw new Error(`Could not resolve task:\n${JSON.stringify(newTask, null, 2)}`)
+      emitEvent('resolved', { key, owner, duration: Date.now() - started })
+      if (dedupeKey) await dedupe.index.release(dedupeKey, key, dedupe.window)
+      // the dependents of a task with children are resolved once the children are finished
+      if (childKeys) await dependencies.spawned(key, snapshot.val())
+      else if (dependencies && !parentKey) await dependencies.resolved(key, result)
+    }
+
+    // a failure to add the children rejects the task
+    async function addChildren(newTask) {
+      if (children.length) await dependencies.spawn(key, children)
+      return newTask
     }
 
     async function reject(error) {
-      const { committed } = await transactionHelper.rejectWith(ref, error)
+      stopWatchingTask()
+      await stopRenewingLease()
+      const { committed, snapshot } = await transactionHelper.rejectWith(ref, error)
       if (!committed) throw new Error(`Could not reject task with error:\n${error}`)
+      // only tasks that will be retried have a `_run_at`
+      const retry = snapshot.child('_run_at').exists()
+      emitEvent('rejected', { key, owner, duration: Date.now() - started, error, retry })
+      // tasks that will be retried are not in the error state
+      const failed = snapshot.child('_state').val() === errorState
+      if (dedupeKey && failed) await dedupe.index.release(dedupeKey, key, dedupe.window)
+      if (dependencies && failed) await dependencies.failed(key)
+      if (deadLetter && failed) await deadLetter.move(snapshot)
+    }
+
+    // the children are added before the task is resolved
+    function spawn(tasks) {
+      if (!dependencies) throw new Error('Spawning children requires the `dependencies` option of the queue')
+      if (snapshot.child('_parent').exists()) throw new Error('Children can not spawn children')
+      const newChildren = dependencies.createChildren(key, tasks)
+      children.push(...newChildren)
+      return newChildren.map(x => x.key)
+    }
+
+    // a duplicate is removed, chained specs would otherwise process it
+    async function skipDuplicate(duplicateOf) {
+      const { committed } = await transactionHelper.removeDuplicate(ref)
+      if (!committed) throw new Error(`Could not remove duplicate of task '${duplicateOf}'`)
+      emitEvent('duplicate', { key, owner, duration: Date.now() - started, duplicateOf })
+      if (dependencies) await dependencies.resolved(key, data)
     }
 
     async function setProgress(progress) {
@@ -79,18 +251,46 @@ function QueueWorker({ processId, tasksRef, spec, processTask, reportError }) {
         'task has been removed or ' +
         'network communication failure'
       )
+      emitEvent('progress', { key, owner, duration: Date.now() - started, progress })
     }
   }
 
+  function emitEvent(event, { key, owner = null, ...details }) {
+    emit(event, { key, spec, processId, owner, ...details })
+  }
+
+  function timeoutOf(snapshot) {
+    const timeout = snapshot.child('_timeout').val()
+    return typeof timeout === 'number' && timeout > 0 ? timeout : taskTimeout
+  }
+
+  async function pause() {
+    paused = true
+    if (!processing) stopWaitingForNextTask()
+    await processing
+  }
+
+  function resume() {
+    if (!paused) return
+    paused = false
+    if (!processing) waitForNextTask()
+  }
+
+  async function whenIdle() {
+    await processing
+  }
+
   async function shutdown() {
     /* istanbul ignore if - we could return the promise but rather signal the flaw at the caller */
     if (shutdownStarted) throw new Error(`Shutdown was already called`)
 
     shutdownStarted = createDeferred()
 
-    if (!busy) finishShutdown()
+    if (abortCurrentTask) abortCurrentTask(new Error('Queue is shutting down'))
+    if (!processing) finishShutdown()
 
-    return shutdownStarted.promise
+    await shutdownStarted.promise
+    if (workerPresence) await workerPresence.shutdown()
   }
 
   function finishShutdown() {
@@ -99,6 +299,8 @@ function QueueWorker({ processId, tasksRef, spec, processTask, reportError }) {
   }
 }
 
+async function noop() {}
+
 function createDeferred() {
   let resolve = null
   return {
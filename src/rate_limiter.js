@@ -0,0 +1,51 @@
+'use strict'
+
+const { withRetries } = require('./transactions')
+
+module.exports = RateLimiter
+
+// A token bucket that is shared by all processes: the bucket holds at most `tokens` tokens and is refilled
+// with `tokens` tokens every `interval` milliseconds.
+function RateLimiter({ bucketRef, tokens, interval, serverTime }) {
+
+  this.take = take
+
+  // resolves with `true` once a token was taken or with `false` when the signal was aborted before that
+  async function take(signal) {
+    if (signal.aborted) return false
+
+    const { committed, snapshot } = await withRetries(bucketRef, takeToken)
+    if (committed) return true
+
+    const missing = 1 - available(snapshot.val(), serverTime.now())
+    await sleep(missing * interval / tokens, signal)
+    return take(signal)
+  }
+
+  function takeToken(bucket) {
+    const now = serverTime.now()
+    const remaining = available(bucket, now)
+    if (remaining < 1) return
+
+    return { tokens: remaining - 1, updated: now }
+  }
+
+  function available(bucket, now) {
+    if (bucket === null) return tokens
+    const refill = Math.max(0, now - bucket.updated) * tokens / interval
+    return Math.min(tokens, bucket.tokens + refill)
+  }
+}
+
+function sleep(milliseconds, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, milliseconds)
+    signal.addEventListener('abort', done)
+
+    function done() {
+      clearTimeout(timer)
+      signal.removeEventListener('abort', done)
+      resolve()
+    }
+  })
+}
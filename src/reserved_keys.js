@@ -0,0 +1,15 @@
+'use strict'
+
+// keys that are managed by the queue, note that `_priority` is not one of them
+const RESERVED_KEYS = [
+  '_state', '_state_changed', '_owner', '_progress', '_error_details', '_lease_expires', '_recoveries',
+  '_attempts', '_run_at', '_scheduled_state', '_state_priority', '_timeout', '_history', '_dedupe_key',
+  '_depends_on', '_waiting_for', '_children', '_child_results', '_parent',
+]
+
+module.exports = { RESERVED_KEYS, removeReservedKeys }
+
+function removeReservedKeys(task) {
+  RESERVED_KEYS.forEach(key => { delete task[key] })
+  return task
+}
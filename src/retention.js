@@ -0,0 +1,69 @@
+'use strict'
+
+const { SERVER_TIMESTAMP } = require('./transactions')
+
+module.exports = Retention
+
+// Removes (or archives) the tasks that have been in the finished or error state for longer than their
+// retention. Every sweep handles at most `batchSize` tasks per state, the next sweep continues after the last task
+// of the previous one (tasks that are not expired would otherwise block the ones behind them).
+function Retention({ tasksRef, spec, retention, serverTime, reportError }) {
+
+  const { finishedState, errorState } = spec
+  const { finished, error, archiveRef, batchSize, interval } = retention
+  const maxAges = [[finishedState, finished], [errorState, error]].filter(([, maxAge]) => maxAge !== null)
+
+  const lastKeys = {}
+  let shutdownStarted = null
+  let nextSweep = null
+  let sweeping = sweepAndCatchError()
+
+  this.shutdown = shutdown
+
+  async function sweepAndCatchError() {
+    await sweep().catch(reportError)
+
+    if (!shutdownStarted) nextSweep = setTimeout(() => { sweeping = sweepAndCatchError() }, interval)
+  }
+
+  async function sweep() {
+    await Promise.all(maxAges.map(async ([state, maxAge]) => {
+      const lastKey = lastKeys[state]
+      // one extra task to find out if there is a next batch, the last task of the previous sweep might be included
+      const snapshot = await tasksRef.orderByChild('_state').startAt(state, lastKey).endAt(state)
+        .limitToFirst(batchSize + 1).once('value')
+
+      const batch = []
+      snapshot.forEach(x => { if (x.key !== lastKey && batch.length < batchSize) batch.push(x) })
+      // start from the beginning when the end was reached
+      lastKeys[state] = snapshot.numChildren() > batchSize ? batch[batch.length - 1].key : undefined
+
+      const expired = batch.filter(x => isExpired(x.val(), state, maxAge))
+
+      await Promise.all(expired.map(x => removeOrArchive(x, state, maxAge)))
+    }))
+  }
+
+  // the archived copy is written first, when the task can not be removed it is removed from the archive
+  async function removeOrArchive(snapshot, state, maxAge) {
+    const archivedRef = archiveRef && archiveRef.child(snapshot.key)
+    if (archivedRef) await archivedRef.set({ task: snapshot.val(), archived: SERVER_TIMESTAMP })
+
+    const { committed } = await snapshot.ref.transaction(
+      task => { if (task === null || isExpired(task, state, maxAge)) return null },
+      undefined,
+      false
+    )
+    if (archivedRef && !committed) await archivedRef.remove()
+  }
+
+  function isExpired(task, state, maxAge) {
+    return task._state === state && task._state_changed < serverTime.now() - maxAge
+  }
+
+  async function shutdown() {
+    shutdownStarted = true
+    clearTimeout(nextSweep)
+    await sweeping
+  }
+}
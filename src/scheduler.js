@@ -0,0 +1,55 @@
+'use strict'
+
+const TransactionHelper = require('./transaction_helper')
+
+module.exports = Scheduler
+
+// the maximum delay of `setTimeout`, larger delays fire immediately
+const MAX_DELAY = 2 ** 31 - 1
+
+function Scheduler({ processId, tasksRef, spec, history, serverTime, reportError }) {
+
+  // Only tasks that are waiting have a `_run_at`, the first one is the one that is due first. A `_run_at` that is
+  // not a number (strings sort after numbers) would otherwise become the first one and never be due.
+  const nextScheduledTaskRef = tasksRef.orderByChild('_run_at').startAt(0).endAt(Number.MAX_SAFE_INTEGER)
+    .limitToFirst(1)
+
+  const transactionHelper = new TransactionHelper({ processId, spec, history, serverTime })
+  let timer = null
+  let promoting = null
+  let nextScheduledTask = null
+  let shutdownStarted = false
+
+  this.shutdown = shutdown
+
+  nextScheduledTaskRef.on('value', waitForNextScheduledTask, reportError)
+
+  function waitForNextScheduledTask(snapshot) {
+    clearTimeout(timer)
+    nextScheduledTask = null
+    snapshot.forEach(schedulePromotion)
+  }
+
+  function schedulePromotion(task) {
+    nextScheduledTask = task
+    const delay = task.child('_run_at').val() - serverTime.now()
+    timer = setTimeout(promoteAndCatchError, Math.min(Math.max(0, delay), MAX_DELAY), task)
+  }
+
+  // a task that is not due yet (the delay was capped or the clocks differ) is tried again, unless another task
+  // became the next scheduled task in the mean time
+  function promoteAndCatchError(task) {
+    promoting = transactionHelper.promote(task.ref)
+      .then(({ committed }) => {
+        if (!committed && !shutdownStarted && nextScheduledTask === task) schedulePromotion(task)
+      })
+      .catch(reportError)
+  }
+
+  async function shutdown() {
+    shutdownStarted = true
+    nextScheduledTaskRef.off('value', waitForNextScheduledTask)
+    clearTimeout(timer)
+    await promoting
+  }
+}
@@ -0,0 +1,23 @@
+'use strict'
+
+module.exports = ServerTime
+
+function ServerTime({ ref }) {
+
+  const offsetRef = ref.root.child('.info/serverTimeOffset')
+
+  let offset = 0
+
+  this.now = now
+  this.shutdown = shutdown
+
+  offsetRef.on('value', updateOffset)
+
+  function now() { return Date.now() + offset }
+
+  function shutdown() {
+    offsetRef.off('value', updateOffset)
+  }
+
+  function updateOffset(snapshot) { offset = snapshot.val() }
+}
@@ -0,0 +1,59 @@
+'use strict'
+
+module.exports = ShardedDispatcher
+
+// Combines the dispatchers of the shards of a queue. A worker waits for a task from all shards, it prefers
+// its own shard and steals tasks from the other shards when there is nothing to do in its own shard.
+function ShardedDispatcher({ dispatchers }) {
+
+  // workers of different processes should not all prefer the same shard
+  const offset = Math.floor(Math.random() * dispatchers.length)
+
+  this.forWorker = forWorker
+  this.watchCandidates = watchCandidates
+  this.setWindowSize = setWindowSize
+  this.shutdown = shutdown
+
+  function forWorker(index) {
+    const first = (offset + index) % dispatchers.length
+    const preferred = [...dispatchers.slice(first), ...dispatchers.slice(0, first)]
+    let waiting = null
+
+    return { wait, stopWaiting }
+
+    function wait(handler) {
+      const handleTask = task => {
+        stopWaiting()
+        return handler(task)
+      }
+      waiting = handleTask
+      // a dispatcher with a task available calls the handler immediately
+      preferred.forEach(dispatcher => { if (waiting === handleTask) dispatcher.wait(handleTask) })
+    }
+
+    function stopWaiting() {
+      if (!waiting) return
+      const handleTask = waiting
+      waiting = null
+      preferred.forEach(dispatcher => { dispatcher.stopWaiting(handleTask) })
+    }
+  }
+
+  // the watcher is called with `true` when any of the shards has tasks waiting to be claimed
+  function watchCandidates(watcher) {
+    const hasCandidates = dispatchers.map(() => null)
+    const stops = dispatchers.map((dispatcher, i) => dispatcher.watchCandidates(x => {
+      hasCandidates[i] = x
+      if (hasCandidates.every(x => x !== null)) watcher(hasCandidates.some(x => x))
+    }))
+    return () => { stops.forEach(stop => { stop() }) }
+  }
+
+  function setWindowSize(size) {
+    dispatchers.forEach(dispatcher => { dispatcher.setWindowSize(size) })
+  }
+
+  function shutdown() {
+    dispatchers.forEach(dispatcher => { dispatcher.shutdown() })
+  }
+}
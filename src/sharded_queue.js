@@ -0,0 +1,20 @@
+'use strict'
+
+const { inherits } = require('util')
+const Queue = require('./queue.js')
+const { check, isPositiveInteger } = require('./validation.js')
+
+module.exports = ShardedQueue
+
+inherits(ShardedQueue, Queue)
+
+// A queue with its tasks spread over `tasksRef/shard_0` to `tasksRef/shard_{numShards - 1}`, producers pick the
+// shard (use a `Producer` with the same `numShards`). The workers process the tasks of all shards.
+function ShardedQueue({ tasksRef, processTask, reportError, options = {} }) {
+  if (!(this instanceof ShardedQueue)) throw new Error('You forgot the `new` keyword: `new ShardedQueue(...)`')
+
+  check(options.numShards, isPositiveInteger,
+    'options.numShards must be a positive integer')
+
+  Queue.call(this, { tasksRef, processTask, reportError, options })
+}
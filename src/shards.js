@@ -0,0 +1,25 @@
+'use strict'
+
+module.exports = { shardRefs, taskPath, shardOf }
+
+// an unsharded queue (`numShards === null`) has a single shard: the tasks ref itself
+function shardRefs(tasksRef, numShards) {
+  if (numShards === null) return [tasksRef]
+  return [...Array(numShards).keys()].map(i => tasksRef.child(`shard_${i}`))
+}
+
+// the path of a task relative to the tasks ref
+function taskPath(key, numShards) {
+  if (numShards === null) return key
+  return `shard_${shardOf(key, numShards)}/${key}`
+}
+
+// 32 bit FNV-1a, the producers and the queue need to agree on the shard of a task
+function shardOf(key, numShards) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0) % numShards
+}
@@ -0,0 +1,24 @@
+'use strict'
+
+module.exports = { statePriority, statePriorityRange, withStatePriority }
+
+const MAX_PRIORITY = 999999
+const PRIORITY_LENGTH = 7
+
+function statePriority(state, priority) {
+  const clampedPriority = Math.max(-MAX_PRIORITY, Math.min(MAX_PRIORITY, Math.round(priority)))
+  // Firebase sorts in ascending order, higher priorities should come first
+  const invertedPriority = String(MAX_PRIORITY + 1 - clampedPriority).padStart(PRIORITY_LENGTH, '0')
+  return `${state || ''}|${invertedPriority}`
+}
+
+function statePriorityRange(state) {
+  return [statePriority(state, MAX_PRIORITY), statePriority(state, -MAX_PRIORITY)]
+}
+
+// tasks without a (numeric) `_priority` have priority 0, a prioritized queue would otherwise never see them
+function withStatePriority(task) {
+  const priority = typeof task._priority === 'number' ? task._priority : 0
+  task._state_priority = statePriority(task._state, priority)
+  return task
+}
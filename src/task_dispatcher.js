@@ -0,0 +1,85 @@
+'use strict'
+
+module.exports = TaskDispatcher
+
+// A single listener per queue that hands out distinct tasks to the workers that are waiting for one.
+// Without it every worker would listen for (and try to claim) the same first task.
+function TaskDispatcher({ createQuery, windowSize, reportError }) {
+
+  const waiting = []
+  const assigned = new Set()
+  const watchers = new Set()
+  let candidates = null
+  let query = null
+
+  this.wait = wait
+  this.stopWaiting = stopWaiting
+  this.watchCandidates = watchCandidates
+  this.setWindowSize = setWindowSize
+  this.shutdown = shutdown
+
+  listen()
+
+  function listen() {
+    query = createQuery(windowSize)
+    query.on('value', updateCandidates, reportError)
+  }
+
+  function updateCandidates(snapshot) {
+    candidates = []
+    snapshot.forEach(task => { candidates.push(task) })
+    dispatch()
+    watchers.forEach(notify)
+  }
+
+  // calls the watcher with `true` or `false` (are there tasks waiting to be claimed?) every time that might change
+  function watchCandidates(watcher) {
+    watchers.add(watcher)
+    if (candidates) notify(watcher)
+    return () => { watchers.delete(watcher) }
+  }
+
+  function notify(watcher) {
+    watcher(candidates.length > 0)
+  }
+
+  function wait(handler) {
+    waiting.push(handler)
+    dispatch()
+  }
+
+  function stopWaiting(handler) {
+    const index = waiting.indexOf(handler)
+    if (index >= 0) waiting.splice(index, 1)
+  }
+
+  function dispatch() {
+    const available = (candidates || []).filter(x => !assigned.has(x.key))
+    while (waiting.length && available.length) {
+      const handler = waiting.shift()
+      const task = available.shift()
+      // the task stays assigned until the handler is done, by then it is no longer a candidate
+      assigned.add(task.key)
+      Promise.resolve(handler(task)).catch(reportError).then(() => {
+        assigned.delete(task.key)
+        dispatch()
+      })
+    }
+  }
+
+  function setWindowSize(size) {
+    if (size === windowSize) return
+
+    stopListening()
+    windowSize = size
+    listen()
+  }
+
+  function shutdown() {
+    stopListening()
+  }
+
+  function stopListening() {
+    query.off('value', updateCandidates)
+  }
+}
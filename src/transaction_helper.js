@@ -1,68 +1,116 @@
 'use strict'
 
+const { withStatePriority } = require('./state_priority')
+const { ValidationError, QueueError } = require('./errors')
+const { toErrorDetails } = require('./error_details')
+const { waitFor, hasDependencies } = require('./dependencies')
+const { recordHistory } = require('./history')
+const { SERVER_TIMESTAMP, withRetries } = require('./transactions')
+
 module.exports = TransactionHelper
 
-const SERVER_TIMESTAMP = {'.sv': 'timestamp'}
-const MAX_TRANSACTION_ATTEMPTS = 10
+const SCHEDULED_STATE = '_scheduled'
+const NO_RETRY = { maxAttempts: 1 }
 
-function TransactionHelper({ processId, spec, taskNumber = 0 }) {
+function TransactionHelper({
+  processId, spec, lease = null, retry = NO_RETRY, scheduling = false, dependencies = false, history = null,
+  serverTime = null, reportError = null, taskNumber = 0
+}) {
 
   const { startState, inProgressState, finishedState, errorState } = spec
 
   const owner = processId + ':' + taskNumber
 
+  this.owner = owner
   this.cloneForNextTask = cloneForNextTask
 
-  this.claim              = async ref => withRetries(ref, claim)
+  this.claim              = async ref => withHistory(ref, claim)
 
   this.updateProgressWith = async (ref, progress) => withRetries(ref, updateProgressWith(progress))
-  this.resolveWith        = async (ref, newTask)  => withRetries(ref, resolveWith(newTask))
-  this.rejectWith         = async (ref, error)    => withRetries(ref, rejectWith(error))
+  this.resolveWith        = async (ref, newTask, children = null) => withHistory(ref, resolveWith(newTask, children))
+  this.rejectWith         = async (ref, error)    => withHistory(ref, rejectWith(error))
+  this.removeDuplicate    = async ref             => withHistory(ref, removeDuplicate)
+  this.renewLease         = async ref             => withRetries(ref, renewLease)
+
+  this.releaseExpiredLease = async ref => withHistory(ref, releaseExpiredLease)
+  this.promote             = async ref => withHistory(ref, promote)
 
   function cloneForNextTask() {
-    return new TransactionHelper({ processId, spec, taskNumber: taskNumber + 1 })
+    return new TransactionHelper({
+      processId, spec, lease, retry, scheduling, dependencies, history, serverTime, reportError,
+      taskNumber: taskNumber + 1
+    })
   }
 
   function claim(task) {
     if (task === null) return null
     if ((task._state || null) === startState) {
+      // without scheduling `_run_at` is ignored, there is no scheduler that would promote the task
+      if (scheduling && isScheduledForLater(task)) return schedule(task)
+      // a task that was pushed without a producer only starts waiting for its dependencies here
+      if (dependencies && hasDependencies(task)) return awaitDependencies(task)
+
       task._state = inProgressState
       task._state_changed = SERVER_TIMESTAMP
       task._owner = owner
       task._progress = 0
-      return task
+      task._run_at = null
+      if (lease) task._lease_expires = leaseExpires()
+      return withStatePriority(task)
     }
   }
 
-  function resolveWith(newTask) {
+  function schedule(task) {
+    // move the task out of the way, it would otherwise block the tasks behind it
+    task._scheduled_state = startState
+    task._state = SCHEDULED_STATE
+    task._state_changed = SERVER_TIMESTAMP
+    return withStatePriority(task)
+  }
+
+  function awaitDependencies(task) {
+    task._state_changed = SERVER_TIMESTAMP
+    return waitFor(task, task._depends_on)
+  }
+
+  // a task with children waits for the children that did not report their result yet
+  function resolveWith(newTask, children) {
     return task => {
       if (task === null) return null
 
       if (isProcessing(task)) {
+        // the result of a child has already been stored in its parent
+        if (task._parent) return null // remove
         if (finishedState) {
-          return {
+          const resolved = {
             ...(newTask || task),
             _state: finishedState,
             _state_changed: SERVER_TIMESTAMP,
             _owner: null,
             _progress: 100,
             _error_details: null,
+            _lease_expires: null,
+            _recoveries: null,
+            _attempts: null,
+            _children: children,
+            _child_results: children && pick(task._child_results, children),
           }
+          const pending = children ? children.filter(key => !resolved._child_results[key]) : []
+          return pending.length ? waitFor(resolved, pending) : withStatePriority(resolved)
         }
-        else if (newTask) return newTask
+        else if (newTask) return withStatePriority(newTask)
         else return null // remove
       }
     }
   }
 
   function rejectWith(error) {
-    const errorString =
-      (error instanceof Error && error.message) ||
-      (typeof error === 'string' && error) ||
-      (error !== undefined && error !== null && error.toString()) ||
-      null
-
-    const errorStack = (error && error.stack) || null
+    const errorDetails = toErrorDetails(error)
+    // invalid data stays invalid, retrying would not help
+    const invalid = error instanceof ValidationError
+    const retryable = !invalid && retry.maxAttempts > 1 && (
+      error instanceof QueueError && error.retryable !== null ? error.retryable : retryOn(error)
+    )
     return task => {
       if (task === null) return null
 
@@ -70,15 +118,38 @@ function TransactionHelper({ processId, spec, taskNumber = 0 }) {
         task._state = errorState
         task._state_changed = SERVER_TIMESTAMP
         task._owner = null
-        task._error_details = {
-          error: errorString,
-          error_stack: errorStack,
+        task._lease_expires = null
+        task._error_details = { ...errorDetails }
+        if (invalid) task._error_details.validation = error.validation
+        if (retryable) {
+          const attempts = (task._attempts || 0) + 1
+          task._attempts = attempts
+          if (attempts < retry.maxAttempts) {
+            task._state = SCHEDULED_STATE
+            task._scheduled_state = startState
+            task._run_at = serverTime.now() + backoffDelay(attempts)
+          }
         }
-        return task
+        return withStatePriority(task)
       }
     }
   }
 
+  // a `retryOn` that throws would otherwise leave the task in progress
+  function retryOn(error) {
+    try { return retry.retryOn(error) }
+    catch (e) {
+      reportError(e)
+      return false
+    }
+  }
+
+  function removeDuplicate(task) {
+    if (task === null) return null
+
+    if (isProcessing(task)) return null // remove
+  }
+
   function updateProgressWith(progress) {
     return task => {
       if (task === null) return null
@@ -90,15 +161,70 @@ function TransactionHelper({ processId, spec, taskNumber = 0 }) {
     }
   }
 
-  async function withRetries(ref, transaction, attempts = 0) {
-    try {
-      const result = await ref.transaction(transaction, undefined, false)
-      return result
-    } catch (e) {
-      if (attempts < MAX_TRANSACTION_ATTEMPTS) return withRetries(ref, transaction, attempts + 1)
-      throw new Error(`transaction failed ${MAX_TRANSACTION_ATTEMPTS} times, error: ${e.message}`)
+  function renewLease(task) {
+    if (task === null) return null
+
+    if (isProcessing(task)) {
+      task._lease_expires = leaseExpires()
+      return task
+    }
+  }
+
+  function releaseExpiredLease(task) {
+    if (task === null) return null
+
+    if (task._state === inProgressState && isLeaseExpired(task)) {
+      const { _owner: expiredOwner, _recoveries: recoveries = 0 } = task
+      task._state_changed = SERVER_TIMESTAMP
+      task._owner = null
+      task._lease_expires = null
+      if (recoveries < lease.maxRecoveries) {
+        task._state = startState
+        task._progress = 0
+        task._recoveries = recoveries + 1
+      } else {
+        task._state = errorState
+        task._error_details = {
+          error: `Lease of '${expiredOwner}' expired and the task was already recovered ${recoveries} time(s)`,
+          error_stack: null,
+        }
+      }
+      return withStatePriority(task)
+    }
+  }
+
+  function promote(task) {
+    if (task === null) return null
+
+    if (isDue(task)) {
+      if (task._state === SCHEDULED_STATE) {
+        task._state = task._scheduled_state || null
+        task._state_changed = SERVER_TIMESTAMP
+      }
+      task._scheduled_state = null
+      task._run_at = null
+      return withStatePriority(task)
     }
   }
 
+  async function withHistory(ref, transaction) {
+    return recordHistory({ history, ref, transaction, runTransaction: withRetries })
+  }
+
+  function leaseExpires() { return serverTime.now() + lease.duration }
+
+  function backoffDelay(attempts) {
+    const { backoff, baseDelay, maxDelay } = retry
+    const delay = backoff === 'exponential' ? baseDelay * 2 ** (attempts - 1) : baseDelay
+    return Math.min(delay, maxDelay)
+  }
+
   function isProcessing(x) { return x._owner === owner && x._state === inProgressState }
+  function isLeaseExpired(x) { return x._lease_expires < serverTime.now() }
+  function isDue(x) { return x._run_at <= serverTime.now() }
+  function isScheduledForLater(x) { return x._run_at > serverTime.now() }
+}
+
+function pick(object, keys) {
+  return keys.reduce((result, key) => object && object[key] ? { ...result, [key]: object[key] } : result, {})
 }
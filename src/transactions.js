@@ -0,0 +1,21 @@
+'use strict'
+
+const SERVER_TIMESTAMP = {'.sv': 'timestamp'}
+const MAX_TRANSACTION_ATTEMPTS = 10
+
+module.exports = { SERVER_TIMESTAMP, withRetries, serverNow }
+
+async function withRetries(ref, transaction, attempts = 0) {
+  try {
+    return await ref.transaction(transaction, undefined, false)
+  } catch (e) {
+    if (attempts < MAX_TRANSACTION_ATTEMPTS) return withRetries(ref, transaction, attempts + 1)
+    throw new Error(`transaction failed ${MAX_TRANSACTION_ATTEMPTS} times, error: ${e.message}`)
+  }
+}
+
+// a one-off estimate of the server time, use `ServerTime` when the time is needed more than once
+async function serverNow(ref) {
+  const offset = await ref.root.child('.info/serverTimeOffset').once('value')
+  return Date.now() + offset.val()
+}
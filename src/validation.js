@@ -0,0 +1,68 @@
+'use strict'
+
+const { parseDuration } = require('./durations')
+
+module.exports = {
+  check,
+  checkSpec,
+  isFunction,
+  isFirebaseRef,
+  isString,
+  isBoolean,
+  isNull,
+  isUndefined,
+  isObject,
+  isFiniteNumber,
+  not,
+  isPositiveInteger,
+  isPositiveNumber,
+  isNonNegativeInteger,
+  isNonNegativeNumber,
+  isDuration,
+  isAtLeast,
+  isOneOf,
+}
+
+function checkSpec({ startState, inProgressState, finishedState, errorState }) {
+  check(inProgressState, isString,
+    'options.spec.inProgressState must be a string')
+
+  check(startState, isNull, [isString, not(inProgressState)],
+    'options.spec.startState must be null or a string that !== inProgressState')
+
+  check(finishedState, isNull, [isString, not(inProgressState), not(startState)],
+    'options.spec.finishedState must be null or a string that !== inProgressState and !== startState')
+
+  check(errorState, [isString, not(inProgressState), not(startState), not(finishedState)],
+    'options.spec.errorState must be a string that !== inProgressState and !== startState and !== finishedState')
+}
+
+function isFunction(x) { return typeof x === 'function' }
+function isFirebaseRef(x) { return x && [x.on, x.off, x.transaction, x.orderByChild, x.push].every(isFunction) }
+function isString(x) { return typeof x === 'string' }
+function isBoolean(x) { return typeof x === 'boolean' }
+function isNull(x) { return x === null }
+function isUndefined(x) { return x === undefined }
+function isObject(x) { return x !== null && typeof x === 'object' && !Array.isArray(x) }
+function isFiniteNumber(x) { return typeof x === 'number' && isFinite(x) }
+function not(y) { return x => x !== y }
+function isPositiveInteger(x) { return typeof x === 'number' && x >= 1 && x % 1 === 0 }
+function isPositiveNumber(x) { return typeof x === 'number' && x > 0 && x < Infinity }
+function isNonNegativeInteger(x) { return typeof x === 'number' && x >= 0 && x % 1 === 0 }
+function isNonNegativeNumber(x) { return typeof x === 'number' && x >= 0 && x < Infinity }
+function isDuration(x) { return isPositiveNumber(x) || (isString(x) && parseDuration(x) > 0) }
+function isAtLeast(y) { return x => x >= y }
+function isOneOf(...y) { return x => y.includes(x) }
+
+function check(val, ...rest) {
+  const message = rest[rest.length - 1]
+  const or = rest.slice(0, rest.length -1)
+  const valid = or.reduce(
+    (result, and) => result || [].concat(and).reduce(
+      (result, isValid) => result && isValid(val),
+      true
+    ),
+    false
+  )
+  if (!valid) throw new Error(message)
+}
@@ -0,0 +1,47 @@
+'use strict'
+
+const { SERVER_TIMESTAMP } = require('./transactions')
+
+module.exports = WorkerPresence
+
+function WorkerPresence({ processId, workersRef, spec, heartbeatInterval, serverTime, reportError }) {
+
+  const entryRef = workersRef.child(processId)
+  const started = serverTime.now()
+
+  let task = null
+  const heartbeat = setInterval(register, heartbeatInterval)
+
+  this.processing = processing
+  this.idle = idle
+  this.shutdown = shutdown
+
+  register()
+
+  function register() {
+    // the server removes the entry when the connection is lost, registering on every heartbeat
+    // restores the entry once we are connected again
+    entryRef.onDisconnect().remove().catch(reportError)
+    entryRef.set({ spec, task, started, heartbeat: SERVER_TIMESTAMP }).catch(reportError)
+  }
+
+  function processing(snapshot) {
+    task = { key: snapshot.key, owner: snapshot.child('_owner').val(), started: serverTime.now() }
+    update({ task })
+  }
+
+  function idle() {
+    task = null
+    update({ task })
+  }
+
+  async function shutdown() {
+    clearInterval(heartbeat)
+    entryRef.onDisconnect().cancel().catch(reportError)
+    await entryRef.remove()
+  }
+
+  function update(values) {
+    entryRef.update(values).catch(reportError)
+  }
+}
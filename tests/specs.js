@@ -1,4 +1,5 @@
 const { wait, waitFor } = require('./machinery/promise_utils')
+const { statePriority } = require('../src/state_priority')
 
 module.exports = ({ rootRef, timeout }) => [
   [`default options - process a task and remove it from the queue`, {
@@ -30,7 +31,7 @@ module.exports = ({ rootRef, timeout }) => [
   [`default options - failed to process a task - custom error`, {
     process: _ => { throw new Error(`custom error`) },
     test: test(processedAll, remainingErrors({
-      _error_details: { error: `custom error`, error_stack: true } }
+      _error_details: { error: `custom error`, error_stack: true, name: `Error` } }
     ))
   }],
 
@@ -92,7 +93,12 @@ module.exports = ({ rootRef, timeout }) => [
     queue: { options: { spec: { finishedState: `finished` } } },
     test: test(processedAll, ({ tasks, remaining }) => {
       const normalizedRemaining = remaining.map(setFieldPresence(`_state_changed`))
-      const normalizedData = tasks.map(addFields({ _progress: 100, _state: `finished`, _state_changed: true }))
+      const normalizedData = tasks.map(addFields({
+        _progress: 100,
+        _state: `finished`,
+        _state_changed: true,
+        _state_priority: statePriority(`finished`, 0),
+      }))
       return [normalizedRemaining, `equal`, normalizedData]
     })
   }],
@@ -102,7 +108,7 @@ module.exports = ({ rootRef, timeout }) => [
     return {
       process: (_, { snapshot }) => { snapshots.push(snapshot.val()) },
       test: test(processedAll, noRemaining,
-        [snapshots, `haveFields`, [`index`, `_state`, `_state_changed`, `_progress`, `_owner`]]
+        [snapshots, `haveFields`, [`index`, `_state`, `_state_changed`, `_state_priority`, `_progress`, `_owner`]]
       )
     }
   }],
@@ -121,7 +127,7 @@ module.exports = ({ rootRef, timeout }) => [
   [`complex processing - replace task`, {
     process: _ => ({ _state: `do not process again` }),
     test: test(processedAll, ({ remaining }) =>
-      [remaining, `equal`, [{ _state: `do not process again` }]]
+      [remaining, `equal`, [{ _state: `do not process again`, _state_priority: statePriority(`do not process again`, 0) }]]
     )
   }],
 
@@ -154,6 +160,7 @@ module.exports = ({ rootRef, timeout }) => [
         _progress: 0,
         _state: `in_progress`,
         _state_changed: true,
+        _state_priority: statePriority(`in_progress`, 0),
       }))
       return [normalizedRemaining, `equal`, normalizedData]
     }),
@@ -173,6 +180,7 @@ module.exports = ({ rootRef, timeout }) => [
         _progress: 0,
         _state: `this got changed`,
         _state_changed: true,
+        _state_priority: statePriority(`in_progress`, 0),
       }))
       return [normalizedRemaining, `equal`, normalizedData]
     }),
@@ -188,6 +196,7 @@ module.exports = ({ rootRef, timeout }) => [
         _state: `i have failed`,
         _progress: 0,
         _state_changed: true,
+        _state_priority: statePriority(`i have failed`, 0),
         _error_details: true,
       }))
 
@@ -203,6 +212,7 @@ module.exports = ({ rootRef, timeout }) => [
         _state: `i am finished`,
         _progress: 100,
         _state_changed: true,
+        _state_priority: statePriority(`i am finished`, 0),
       }))
       return [normalizedRemaining, `equal`, normalizedData]
     })
@@ -218,6 +228,7 @@ module.exports = ({ rootRef, timeout }) => [
         _state: `i am finished`,
         _progress: 100,
         _state_changed: true,
+        _state_priority: statePriority(`i am finished`, 0),
       }]
       return [normalizedRemaining, `equal`, expectedRemaining]
     })
@@ -241,7 +252,7 @@ module.exports = ({ rootRef, timeout }) => [
     queue: { options: { spec: { startState: `i should start` } } },
     process: x => x,
     test: ({ tasks, processed, remaining }) => [
-      [remaining, `equal`, tasks.map(({ _state, ...x }) => x)],
+      [remaining, `equal`, tasks.map(({ _state, ...x }) => ({ ...x, _state_priority: statePriority(null, 0) }))],
       `and`,
       [processed, `equal`, remaining]
     ]
@@ -255,6 +266,172 @@ module.exports = ({ rootRef, timeout }) => [
       test: test(processedAll, noRemaining, [inProgressStates, `equal`, [`i am in progress`]])
     }
   }],
+
+  [`lease - renew the lease while processing`, () => {
+    const leaseExpires = []
+    return {
+      queue: { options: { lease: { duration: timeout * 0.1 } } },
+      process: async (_, { snapshot }) => {
+        leaseExpires.push(snapshot.child(`_lease_expires`).val())
+        await wait(timeout * 0.2)
+        leaseExpires.push((await snapshot.ref.child(`_lease_expires`).once(`value`)).val())
+      },
+      test: test(processedAll, noRemaining, () => [leaseExpires[1] > leaseExpires[0], `equal`, true])
+    }
+  }],
+
+  [`lease - recover a task with an expired lease and process it`, {
+    createTask: index => ({ index, _state: `in_progress`, _owner: `crashed`, _lease_expires: 0 }),
+    queue: { options: { lease: { duration: timeout * 0.1 } } },
+    test: test(({ tasks, processed }) => [processed, `equal`, tasks.map(({ index }) => ({ index }))], noRemaining)
+  }],
+
+  [`lease - report when the lease could not be renewed`, {
+    queue: { options: { lease: { duration: timeout * 0.2 } } },
+    process: async (_, { snapshot }) => {
+      const owner = snapshot.child(`_owner`)
+      await owner.ref.set(`this got changed`)
+      await wait(timeout * 0.15)
+      await owner.ref.set(owner.val())
+    },
+    test: test(processedAll, noRemaining),
+    expectReportedErrors: ([e, ...rest]) => (!e.message.includes(`renew lease`) || rest.length) &&
+      /* istanbul ignore next */`Expected a single problem with renewing the lease to be reported`,
+  }],
+
+  [`presence - register the worker and the task it is processing`, () => {
+    const entries = []
+    const workersRef = rootRef.child(`_workers`)
+    return {
+      queue: { options: { presence: { heartbeatInterval: timeout } } },
+      process: async (_, { snapshot }) => {
+        const owner = snapshot.child(`_owner`).val()
+        const entry = (await workersRef.child(processIdOf(owner)).once(`value`)).val()
+        entries.push(entry)
+        const { key, owner: taskOwner } = entry.task
+        entries.push([key, taskOwner], [snapshot.key, owner])
+      },
+      test: async data => {
+        const [entry, task, expectedTask] = entries
+        const remainingEntries = (await workersRef.once(`value`)).val()
+        return test(processedAll, noRemaining,
+          [[entry], `haveFields`, [`spec`, `task`, `started`, `heartbeat`]],
+          [task, `equal`, expectedTask],
+          [remainingEntries, `equal`, null]
+        )(data)
+      }
+    }
+  }],
+
+  [`presence - keep sending heartbeats`, () => {
+    const heartbeats = []
+    const workersRef = rootRef.push().ref
+    return {
+      queue: { options: { presence: { heartbeatInterval: timeout * 0.05, workersRef } } },
+      process: async (_, { snapshot }) => {
+        const heartbeatRef = workersRef.child(processIdOf(snapshot.child(`_owner`).val())).child(`heartbeat`)
+        heartbeats.push((await heartbeatRef.once(`value`)).val())
+        await wait(timeout * 0.2)
+        heartbeats.push((await heartbeatRef.once(`value`)).val())
+      },
+      test: test(processedAll, noRemaining, () => [heartbeats[1] > heartbeats[0], `equal`, true])
+    }
+  }],
+
+  [`scheduling - do not process a task before its '_run_at'`, () => {
+    const runAt = Date.now() + timeout * 0.2
+    const order = []
+    return {
+      queue: { options: { scheduling: true } },
+      numTasks: 2,
+      createTask: index => index ? { index } : { index, _run_at: runAt },
+      process: ({ index }) => { order.push([index, Date.now() >= runAt - timeout * 0.05]) },
+      test: test(
+        ({ tasks, processed }) => [processed, `equal`, tasks.map(({ _run_at, ...task }) => task)],
+        noRemaining,
+        [order, `equal`, [[1, false], [0, true]]]
+      )
+    }
+  }],
+
+  [`priorities - claim tasks with a higher priority first`, () => {
+    const priorities = [0, 1, 3, 2]
+    const order = []
+    return {
+      numTasks: 4,
+      createTask: index => ({ index, _priority: priorities[index], _state_priority: statePriority(null, priorities[index]) }),
+      queue: { options: { prioritized: true, spec: { finishedState: `finished` } } },
+      process: async ({ _priority }) => {
+        order.push(_priority)
+        await wait(timeout * 0.05) // give the other tasks a chance to arrive
+      },
+      test: test(
+        ({ tasks, processed }) => [processed, `equal`, tasks.map(({ _state_priority, ...task }) => task)],
+        () => [order.slice(1), `equal`, order.slice(1).sort((a, b) => b - a)],
+        ({ remaining }) => [
+          remaining.map(x => x._state_priority), `equal`, remaining.map(x => statePriority(`finished`, x._priority))
+        ]
+      )
+    }
+  }],
+
+  [`cancellation - signal when the task is removed, owned by another worker or no longer in progress`, () => {
+    const reasons = []
+    const changes = [
+      ref => ref.remove(),
+      ref => ref.child(`_owner`).set(`someone else`),
+      ref => ref.child(`_state`).set(`cancelled`),
+    ]
+    return {
+      numTasks: 3,
+      process: async ({ index }, { snapshot, signal }) => {
+        const aborted = new Promise(resolve => { signal.addEventListener(`abort`, resolve) })
+        await changes[index](snapshot.ref)
+        await aborted
+        reasons[index] = signal.reason.message
+        throw signal.reason
+      },
+      test: () => [
+        reasons, `equal`, [`Task was removed`, `Task is owned by another worker`, `Task is no longer in progress`]
+      ],
+      // the removed task can be rejected, the other two can not
+      expectReportedErrors: errors => (errors.length !== 2 || !errors.every(e => e.message.includes(`reject`))) &&
+        /* istanbul ignore next */ `Expected two problems with rejecting to be reported`,
+    }
+  }],
+
+  [`timeouts - reject a task that takes too long and continue with the next task`, () => {
+    const taskTimeout = timeout * 0.1
+    const events = []
+    let resolveSecondTask = null
+    const secondTask = new Promise(resolve => { resolveSecondTask = resolve })
+    const timeouts = [undefined, timeout, -1]
+    return {
+      numTasks: 3,
+      createTask: index => timeouts[index] ? { index, _timeout: timeouts[index] } : { index },
+      queue: { options: { taskTimeout } },
+      process: async ({ index }, { signal }) => {
+        if (index === 0) {
+          await secondTask
+          events.push(`first aborted with ${signal.reason.name}`)
+          return { index, late: true }
+        }
+        if (index === 1) {
+          await wait(taskTimeout * 2) // would time out without its own '_timeout'
+          events.push(`second`)
+          resolveSecondTask()
+        }
+      },
+      test: test(
+        () => [events, `equal`, [`second`, `first aborted with TimeoutError`]],
+        ({ remaining }) => [
+          remaining.map(x => [x.index, x._state, x._error_details.error]),
+          `equal`,
+          [[0, `error`, `Task timed out after ${taskTimeout}ms`]]
+        ]
+      )
+    }
+  }],
 ]
 
 function addFields(o) { return x => ({ ...o, ...x }) }
@@ -283,6 +460,7 @@ function test(check, ...checks) {
     function asTest(x) { return typeof x === 'function' ? x(data) : x }
   }
 }
+function processIdOf(owner) { return owner.split(`:`).slice(0, 2).join(`:`) }
 function processedAll({ tasks, processed }) { return [processed, `equal`, tasks] }
 function noRemaining({ remaining }) { return [remaining, `equal`, []] }
 function remainingErrors({ _error_details }) {
@@ -295,6 +473,7 @@ function remainingErrors({ _error_details }) {
       _progress: 0,
       _state: `error`,
       _state_changed: true,
+      _state_priority: statePriority(`error`, 0),
     }))
     return [normalizedRemaining, `equal`, normalizedData]
   }
@@ -1,7 +1,27 @@
 const Queue = require(`../src/queue`)
+const Producer = require(`../src/producer`)
+const ShardedQueue = require(`../src/sharded_queue`)
+const Pipeline = require(`../src/pipeline`)
+const AbortController = require(`../src/abort_controller`)
+const Metrics = require(`../src/metrics`)
+const Admin = require(`../src/admin`)
+const cli = require(`../src/cli`)
+const { EventEmitter } = require(`events`)
 const TransactionHelper = require(`../src/transaction_helper`)
+const RateLimiter = require(`../src/rate_limiter`)
+const Dedupe = require(`../src/dedupe`)
+const { Dependencies } = require(`../src/dependencies`)
+const Retention = require(`../src/retention`)
+const Scheduler = require(`../src/scheduler`)
+const LeaseRecovery = require(`../src/lease_recovery`)
+const DeadLetter = require(`../src/dead_letter`)
+const { compileSchema } = require(`../src/json_schema`)
+const { toErrorDetails } = require(`../src/error_details`)
+const { QueueError } = require(`../src/errors`)
+const { statePriority } = require(`../src/state_priority`)
+const { shardOf } = require(`../src/shards`)
 
-const { waitFor, TIMEOUT } = require('./machinery/promise_utils')
+const { wait, waitFor, TIMEOUT } = require('./machinery/promise_utils')
 const { expectError } = require('./machinery/test_utils')
 
 module.exports = ({ rootRef, timeout }) => {
@@ -18,9 +38,14 @@ module.exports = ({ rootRef, timeout }) => {
     orderByChild: function () { return this },
     equalTo: function() { return this },
     limitToFirst: function() { return this },
+    root: tasksRef.root,
   }
   function newQueue(config) { return new Queue({ ...validConfig, ...config }) }
+  function transactionRef(task) { return { transaction: async f => f(task) } }
   function newQueueWithSpec(spec) { return newQueue({ options: { spec }}) }
+  function newProducer(config) { return new Producer({ tasksRef, ...config }) }
+  function newPipeline(config) { return new Pipeline({ tasksRef, reportError: dontCallMe, ...config }) }
+  function stage(name) { return { name, processTask: dontCallMe } }
 
   return [
     [`Queue - require the 'new' keyword`, () => expectError({
@@ -82,6 +107,483 @@ module.exports = ({ rootRef, timeout }) => {
       ],
       test: [e => e.message.includes(`numWorkers`), `Error did not mention 'numWorkers'`],
     })],
+    [`Queue - require a valid 'options.numShards'`, () => expectError({
+      code: [
+        () => newQueue({ options: { numShards: 0 } }),
+        () => newQueue({ options: { numShards: 1.5 } }),
+      ],
+      test: [e => e.message.includes(`numShards`), `Error did not mention 'numShards'`],
+    })],
+    [`Queue - require a valid 'options.prioritized'`, () => expectError({
+      code: [
+        () => newQueue({ options: { prioritized: `yes` } }),
+      ],
+      test: [e => e.message.includes(`prioritized`), `Error did not mention 'prioritized'`],
+    })],
+    [`Queue - require a valid 'options.dependencies'`, () => expectError({
+      code: [() => newQueue({ options: { dependencies: `yes` } })],
+      test: [e => e.message.includes(`dependencies`), `Error did not mention 'dependencies'`],
+    })],
+    [`Queue - require a valid 'options.scheduling'`, () => expectError({
+      code: [() => newQueue({ options: { scheduling: `yes` } })],
+      test: [e => e.message.includes(`scheduling`), `Error did not mention 'scheduling'`],
+    })],
+    [`Queue - require a valid 'options.taskTimeout'`, () => expectError({
+      code: [
+        () => newQueue({ options: { taskTimeout: 0 } }),
+      ],
+      test: [e => e.message.includes(`taskTimeout`), `Error did not mention 'taskTimeout'`],
+    })],
+    [`Queue - require a valid 'options.lease.duration'`, () => expectError({
+      code: [
+        () => newQueue({ options: { lease: { duration: 0 } } }),
+        () => newQueue({ options: { lease: { duration: Infinity } } }),
+        () => newQueue({ options: { lease: { duration: 'nope' } } }),
+      ],
+      test: [e => e.message.includes(`lease.duration`), `Error did not mention 'lease.duration'`],
+    })],
+    [`Queue - require a valid 'options.lease.maxRecoveries'`, () => expectError({
+      code: [
+        () => newQueue({ options: { lease: { duration: 1, maxRecoveries: -1 } } }),
+        () => newQueue({ options: { lease: { duration: 1, maxRecoveries: 1.1 } } }),
+        () => newQueue({ options: { lease: { duration: 1, maxRecoveries: 'nope' } } }),
+      ],
+      test: [e => e.message.includes(`lease.maxRecoveries`), `Error did not mention 'lease.maxRecoveries'`],
+    })],
+    [`Queue - require a valid 'options.presence.heartbeatInterval'`, () => expectError({
+      code: [
+        () => newQueue({ options: { presence: { heartbeatInterval: 0 } } }),
+        () => newQueue({ options: { presence: { heartbeatInterval: 'nope' } } }),
+      ],
+      test: [e => e.message.includes(`presence.heartbeatInterval`), `Error did not mention 'presence.heartbeatInterval'`],
+    })],
+    [`Queue - require a valid 'options.presence.workersRef'`, () => expectError({
+      code: [
+        () => newQueue({ options: { presence: { heartbeatInterval: 1, workersRef: 'invalid' } } }),
+      ],
+      test: [e => e.message.includes(`presence.workersRef`), `Error did not mention 'presence.workersRef'`],
+    })],
+    [`Queue - require a valid 'options.retry.maxAttempts'`, () => expectError({
+      code: [
+        () => newQueue({ options: { retry: { maxAttempts: 0 } } }),
+        () => newQueue({ options: { retry: { maxAttempts: 1.5 } } }),
+      ],
+      test: [e => e.message.includes(`retry.maxAttempts`), `Error did not mention 'retry.maxAttempts'`],
+    })],
+    [`Queue - require a valid 'options.retry.backoff'`, () => expectError({
+      code: [
+        () => newQueue({ options: { retry: { backoff: `linear` } } }),
+      ],
+      test: [e => e.message.includes(`retry.backoff`), `Error did not mention 'retry.backoff'`],
+    })],
+    [`Queue - require a valid 'options.retry.baseDelay'`, () => expectError({
+      code: [
+        () => newQueue({ options: { retry: { baseDelay: -1 } } }),
+        () => newQueue({ options: { retry: { baseDelay: Infinity } } }),
+        () => newQueue({ options: { retry: { baseDelay: `nope` } } }),
+      ],
+      test: [e => e.message.includes(`retry.baseDelay`), `Error did not mention 'retry.baseDelay'`],
+    })],
+    [`Queue - require a valid 'options.retry.maxDelay'`, () => expectError({
+      code: [
+        () => newQueue({ options: { retry: { maxDelay: -1 } } }),
+        () => newQueue({ options: { retry: { baseDelay: 10, maxDelay: 5 } } }),
+      ],
+      test: [e => e.message.includes(`retry.maxDelay`), `Error did not mention 'retry.maxDelay'`],
+    })],
+    [`Queue - require a valid 'options.retry.retryOn'`, () => expectError({
+      code: [
+        () => newQueue({ options: { retry: { retryOn: `nope` } } }),
+      ],
+      test: [e => e.message.includes(`retry.retryOn`), `Error did not mention 'retry.retryOn'`],
+    })],
+    [`Queue - require a valid 'options.deadLetterRef'`, () => expectError({
+      code: [
+        () => newQueue({ options: { deadLetterRef: `dead` } }),
+      ],
+      test: [e => e.message.includes(`deadLetterRef`), `Error did not mention 'deadLetterRef'`],
+    })],
+    [`Queue - require a valid 'options.spec.schema'`, () => expectError({
+      code: [
+        () => newQueue({ options: { spec: { schema: `schema` } } }),
+        () => newQueue({ options: { spec: { schema: [] } } }),
+      ],
+      test: [e => e.message.includes(`spec.schema`), `Error did not mention 'spec.schema'`],
+    })],
+    [`Queue - reject tasks that do not match the schema without retrying them`, async () => {
+      const processed = []
+      const schema = { type: `object`, required: [`index`], properties: { index: { type: `integer` } } }
+      const options = { spec: { schema }, retry: { maxAttempts: 3, baseDelay: 10 } }
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      const { ref } = await tasksRef.push({ index: `0` })
+      await tasksRef.push({ index: 1 })
+      try {
+        await waitFor(async () => (await ref.child(`_state`).once(`value`)).val() === `error`, { timeout })
+        await waitFor(() => processed.length === 1, { timeout })
+        const { _attempts, _error_details } = (await ref.once(`value`)).val()
+        return (
+          JSON.stringify(processed) !== `[1]` || _attempts !== undefined || !_error_details.error.includes(`schema`) ||
+          JSON.stringify(_error_details.validation) !== JSON.stringify([{ message: `must be of type integer`, path: `/index` }])
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ processed, _attempts, _error_details })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask({ index }) { processed.push(index) }
+    }],
+    [`Queue - validate tasks using a function`, async () => {
+      const processed = []
+      const schema = ({ index }) => [[], null, [{ message: `invalid` }]][index]
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options: { spec: { schema } } })
+      await Promise.all([0, 1, 2].map(index => tasksRef.push({ index })))
+      try {
+        await waitFor(async () => {
+          const tasks = (await tasksRef.once(`value`)).val()
+          return Object.keys(tasks).length === 1 && Object.values(tasks)[0]._state === `error`
+        }, { timeout })
+        const remaining = []
+        ;(await tasksRef.once(`value`)).forEach(x => { remaining.push(x.val()) })
+        const [{ index, _error_details }] = remaining
+        return (
+          index !== 2 || JSON.stringify(_error_details.validation) !== `[{"message":"invalid"}]` ||
+          JSON.stringify(processed) !== `[0,1]`
+        ) &&
+          /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ processed, remaining })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask({ index }) { processed.push(index) }
+    }],
+    [`Queue - require a valid 'options.rateLimit.tokens'`, () => expectError({
+      code: [
+        () => newQueue({ options: { rateLimit: { tokens: 0 } } }),
+        () => newQueue({ options: { rateLimit: { tokens: 1.5 } } }),
+      ],
+      test: [e => e.message.includes(`rateLimit.tokens`), `Error did not mention 'rateLimit.tokens'`],
+    })],
+    [`Queue - require a valid 'options.rateLimit.interval'`, () => expectError({
+      code: [
+        () => newQueue({ options: { rateLimit: { tokens: 1, interval: 0 } } }),
+        () => newQueue({ options: { rateLimit: { tokens: 1, interval: null } } }),
+      ],
+      test: [e => e.message.includes(`rateLimit.interval`), `Error did not mention 'rateLimit.interval'`],
+    })],
+    [`Queue - require a valid 'options.rateLimit.bucketRef'`, () => expectError({
+      code: [
+        () => newQueue({ options: { rateLimit: { tokens: 1, bucketRef: `bucket` } } }),
+      ],
+      test: [e => e.message.includes(`rateLimit.bucketRef`), `Error did not mention 'rateLimit.bucketRef'`],
+    })],
+    [`Queue - share the rate limit between queues`, async () => {
+      const started = []
+      const interval = timeout * 0.2
+      const bucketRef = rootRef.child(`_rate_limits/in_progress`)
+      const queues = [
+        new Queue({ tasksRef, processTask, reportError: dontCallMe, options: { rateLimit: { tokens: 2, interval } } }),
+        new Queue({
+          tasksRef, processTask, reportError: dontCallMe,
+          options: { numWorkers: 2, rateLimit: { tokens: 2, interval, bucketRef } }
+        }),
+      ]
+      await Promise.all([0, 1, 2, 3, 4].map(index => tasksRef.push({ index })))
+      try {
+        await waitFor(() => started.length === 5, { timeout: timeout * 1.5 })
+        const span = started[4] - started[0]
+        const bucket = (await bucketRef.once(`value`)).val()
+        // after the first 2 tokens, 1 token becomes available every `interval / 2` milliseconds
+        return (span < interval * 1.5 * 0.9 || !bucket || bucket.tokens >= 1) &&
+          /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ span, bucket })}`
+      } finally {
+        await Promise.all(queues.map(x => x.shutdown()))
+        await Promise.all([tasksRef.remove(), bucketRef.remove()])
+      }
+
+      function processTask() { started.push(Date.now()) }
+    }],
+    [`Queue - stop waiting for a token when shutting down`, async () => {
+      const processed = []
+      const bucketRef = rootRef.push().ref
+      const options = { rateLimit: { tokens: 1, interval: timeout * 10, bucketRef } }
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      await Promise.all([0, 1].map(index => tasksRef.push({ index })))
+      try {
+        await waitFor(() => processed.length === 1, { timeout })
+        await wait(timeout * 0.1)
+        const started = Date.now()
+        await queue.shutdown()
+        const duration = Date.now() - started
+        const remaining = []
+        ;(await tasksRef.once(`value`)).forEach(x => { remaining.push(x.val()) })
+        return (duration > timeout * 0.5 || remaining.length !== 1 || remaining[0]._owner) &&
+          /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ duration, remaining })}`
+      } finally {
+        await queue.shutdown()
+        await Promise.all([tasksRef.remove(), bucketRef.remove()])
+      }
+
+      function processTask({ index }) { processed.push(index) }
+    }],
+    [`RateLimiter - report failed transactions`, async () => {
+      const bucketRef = { transaction: async () => { throw new Error(`custom error`) } }
+      const rateLimiter = new RateLimiter({ bucketRef, tokens: 1, interval: 1, serverTime: { now: Date.now } })
+      const error = await rateLimiter.take(new AbortController().signal).then(/* istanbul ignore next */ () => null, e => e)
+      return (!error || !error.message.includes(`custom error`)) &&
+        /* istanbul ignore next */ `Expected the transaction error to be reported, got ${error}`
+    }],
+    [`Queue - retry a failed task until it succeeds`, async () => {
+      const attempts = []
+      const options = { retry: { maxAttempts: 3, baseDelay: 10 } }
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      const { ref } = await tasksRef.push({ index: 0 })
+      try {
+        await waitFor(async () => attempts.length === 3 && !(await ref.once(`value`)).exists(), { timeout })
+        return JSON.stringify(attempts) !== `[null,1,2]` &&
+          /* istanbul ignore next */ `Expected the attempts to be counted, got ${JSON.stringify(attempts)}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask(_, { snapshot }) {
+        attempts.push(snapshot.child(`_attempts`).val())
+        if (attempts.length < 3) throw new Error(`try again`)
+      }
+    }],
+    [`Queue - move a task to the error state when all attempts have failed`, async () => {
+      let attempts = 0
+      const options = { spec: { startState: `start` }, retry: { maxAttempts: 2, backoff: `fixed`, baseDelay: 10 } }
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      const { ref } = await tasksRef.push({ _state: `start` })
+      try {
+        await waitFor(async () => (await ref.child(`_state`).once(`value`)).val() === `error`, { timeout })
+        const { _attempts } = (await ref.once(`value`)).val()
+        return (attempts !== 2 || _attempts !== 2) &&
+          /* istanbul ignore next */ `Expected the task to be attempted twice`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask() {
+        attempts += 1
+        throw new Error(`oops`)
+      }
+    }],
+    [`Queue - do not retry when 'retryOn' returns false`, async () => {
+      let attempts = 0
+      const options = { retry: { maxAttempts: 2, retryOn: e => e.message !== `fatal` } }
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      const { ref } = await tasksRef.push({ index: 0 })
+      try {
+        await waitFor(async () => (await ref.child(`_state`).once(`value`)).val() === `error`, { timeout })
+        const { _attempts } = (await ref.once(`value`)).val()
+        return (attempts !== 1 || _attempts !== undefined) &&
+          /* istanbul ignore next */ `Expected the task not to be retried`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask() {
+        attempts += 1
+        throw new Error(`fatal`)
+      }
+    }],
+    [`Queue - report an error thrown by 'retryOn' and do not retry`, async () => {
+      let attempts = 0
+      const errors = []
+      const retryOn = () => { throw new Error(`broken retryOn`) }
+      const options = { retry: { maxAttempts: 2, retryOn } }
+      const queue = new Queue({ tasksRef, processTask, reportError: e => { errors.push(e.message) }, options })
+      const { ref } = await tasksRef.push({ index: 0 })
+      try {
+        await waitFor(async () => (await ref.child(`_state`).once(`value`)).val() === `error`, { timeout })
+        return (attempts !== 1 || JSON.stringify(errors) !== `["broken retryOn"]`) &&
+          /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ attempts, errors })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask() {
+        attempts += 1
+        throw new Error(`oops`)
+      }
+    }],
+    [`Queue - let 'retryable' of a QueueError override 'retryOn'`, async () => {
+      const attempts = []
+      const options = { retry: { maxAttempts: 2, baseDelay: 10, retryOn: e => e.message === `retry` } }
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      const refs = (await Promise.all([`yes`, `no`, `default`].map(retryable => tasksRef.push({ retryable }))))
+        .map(x => x.ref)
+      try {
+        await waitFor(async () => (await tasksRef.orderByChild(`_state`).equalTo(`error`).once(`value`)).numChildren() === 3, { timeout })
+        const [retried, failed, failedByDefault] = await Promise.all(refs.map(async ref => (await ref.once(`value`)).val()))
+        return (
+          retried._attempts !== 2 || failed._attempts !== undefined || failedByDefault._attempts !== undefined ||
+          failed._error_details.code !== `fatal` || JSON.stringify(attempts.sort()) !== `["default","no","yes","yes"]`
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ attempts, retried, failed })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask({ retryable }) {
+        attempts.push(retryable)
+        // `retryOn` would only retry the second task
+        if (retryable === `yes`) throw new QueueError(`stop`, { retryable: true })
+        if (retryable === `no`) throw new QueueError(`retry`, { retryable: false, code: `fatal` })
+        throw new QueueError(`stop`)
+      }
+    }],
+    [`Queue - store the code, details and cause of an error`, async () => {
+      const options = { spec: { finishedState: `finished` } }
+      const producer = newProducer({ options })
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      try {
+        const error = await producer.enqueueAndWait({ index: 0 }).then(/* istanbul ignore next */ () => null, e => e)
+        const { name, code, details, cause, error_stack } = error.details
+        return (
+          error.code !== `payment_failed` || name !== `QueueError` || code !== `payment_failed` ||
+          JSON.stringify(details) !== `{"amount":5,"user%2Eemail":"x"}` || !error_stack ||
+          JSON.stringify(cause) !== `{"code":402,"details":{"status":402},"error":"declined","name":"HttpError"}`
+        ) && /* istanbul ignore next */ `Unexpected error ${JSON.stringify(error.details)}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask() {
+        const cause = Object.assign(new Error(`declined`), { name: `HttpError`, code: 402, toJSON: () => ({ status: 402 }) })
+        throw new QueueError(`Payment failed`, { code: `payment_failed`, details: { amount: 5, missing: undefined, 'user.email': `x` }, cause })
+      }
+    }],
+    [`Queue - move a failed task to the dead letter ref and redrive it`, async () => {
+      let attempts = 0
+      const deadLetterRef = rootRef.push().ref
+      const spec = { startState: `start`, errorState: `failed` }
+      const options = { spec, retry: { maxAttempts: 2, baseDelay: 10 }, deadLetterRef }
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      const { key } = await tasksRef.push({ index: 0, _priority: 1, _state: `start` })
+      const { key: otherKey } = await tasksRef.push({ index: 1, _state: `start` })
+      try {
+        await waitFor(async () => (await deadLetterRef.once(`value`)).numChildren() === 2, { timeout })
+        await waitFor(async () => !(await tasksRef.once(`value`)).exists(), { timeout })
+        const deadLetter = (await deadLetterRef.child(key).once(`value`)).val()
+        const tasks = await tasksRef.once(`value`)
+        await queue.shutdown()
+
+        const redriven = await queue.redrive([key, `unknown`, otherKey], { state: `other` })
+        const task = (await tasksRef.child(key).once(`value`)).val()
+        const otherTask = (await tasksRef.child(otherKey).once(`value`)).val()
+        const deadLetters = await deadLetterRef.once(`value`)
+        return (
+          attempts !== 4 || tasks.exists() ||
+          deadLetter.task._error_details.error !== `oops` || deadLetter.spec.errorState !== `failed` ||
+          typeof deadLetter.failed !== `number` ||
+          JSON.stringify(redriven) !== JSON.stringify([key, otherKey]) || deadLetters.exists() ||
+          JSON.stringify(task) !== JSON.stringify(
+            { _priority: 1, _state: `other`, _state_priority: statePriority(`other`, 1), index: 0 }
+          ) ||
+          JSON.stringify(otherTask) !== JSON.stringify({ _state: `other`, _state_priority: statePriority(`other`, 0), index: 1 })
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ attempts, deadLetter, redriven, task })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask() {
+        attempts += 1
+        throw new Error(`oops`)
+      }
+    }],
+    [`Queue - require a 'deadLetterRef' and valid arguments to redrive`, async () => {
+      const deadLetterRef = rootRef.push().ref
+      const queue = newQueue({ processTask: dontCallMe })
+      const deadLetterQueue = newQueue({ processTask: dontCallMe, options: { deadLetterRef } })
+      const attempts = [
+        [() => queue.redrive([`key`]), `deadLetterRef`],
+        [() => deadLetterQueue.redrive(`key`), `keys`],
+        [() => deadLetterQueue.redrive([`key`], { state: 1 }), `state`],
+        [() => deadLetterQueue.redrive([]), null],
+      ]
+      try {
+        const errors = await Promise.all(attempts.map(([f]) => f().then(() => null, e => e.message)))
+        const unexpected = errors.filter((error, i) =>
+          attempts[i][1] ? !error || !error.includes(attempts[i][1]) : error
+        )
+        return unexpected.length && /* istanbul ignore next */ `Unexpected errors ${JSON.stringify(errors)}`
+      } finally {
+        await Promise.all([queue.shutdown(), deadLetterQueue.shutdown()])
+      }
+    }],
+    [`Queue - signal the task in progress when shutting down`, async () => {
+      let started = false
+      let reason = null
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe })
+      const { ref } = await tasksRef.push({ index: 0 })
+      try {
+        await waitFor(() => started, { timeout })
+        await queue.shutdown()
+        const task = await ref.once(`value`)
+        return (!reason.message.includes(`shutting down`) || task.exists()) &&
+          /* istanbul ignore next */ `Expected the task to be signalled and resolved, got ${reason}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      async function processTask(_, { signal }) {
+        started = true
+        await new Promise(resolve => { signal.onabort = resolve })
+        reason = signal.reason
+      }
+    }],
+    [`Queue - emit lifecycle events`, async () => {
+      const events = []
+      const reported = []
+      const queue = new Queue({ tasksRef, processTask, reportError: e => { reported.push(e) }, options: { scheduling: true } })
+      const names = [`claimed`, `progress`, `resolved`, `rejected`, `claimFailed`, `workerIdle`, `shutdown`]
+      names.forEach(name => { queue.on(name, details => { events.push({ name, ...details }) }) })
+      queue.on(`claimed`, () => { throw new Error(`failing listener`) })
+
+      await tasksRef.push({ index: 0, _state_changed: { '.sv': `timestamp` } })
+      await tasksRef.push({ index: 1 })
+      await tasksRef.push({ index: 2, _run_at: Date.now() + 60 * 60 * 1000 })
+      try {
+        await waitFor(() => events.filter(x => x.name === `workerIdle`).length === 3, { timeout })
+        await queue.shutdown()
+        const [claimed0, claimed1] = events.filter(x => x.name === `claimed`)
+        const [rejected] = events.filter(x => x.name === `rejected`)
+        const [progress] = events.filter(x => x.name === `progress`)
+        const expectedNames = [
+          `claimed`, `progress`, `resolved`, `workerIdle`,
+          `claimed`, `rejected`, `workerIdle`,
+          `claimFailed`, `workerIdle`,
+          `shutdown`
+        ]
+        return (
+          JSON.stringify(events.map(x => x.name)) !== JSON.stringify(expectedNames) ||
+          !events.every(x => x.spec.inProgressState === `in_progress` && typeof x.processId === `string`) ||
+          !events.every(x => typeof x.duration === `number` || x === claimed1) || claimed1.duration !== null ||
+          !events.filter(x => x.owner).every(x => x.owner.startsWith(x.processId)) ||
+          claimed0.owner === null || typeof claimed0.claimDuration !== `number` ||
+          rejected.error.message !== `oops` || rejected.retry !== false || progress.progress !== 50 ||
+          reported.length !== 2 || !reported.every(e => e.message === `failing listener`)
+        ) && /* istanbul ignore next */ `Unexpected events ${JSON.stringify({ events, reported: reported.map(String) })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      async function processTask({ index }, { setProgress }) {
+        if (index) throw new Error(`oops`)
+        await setProgress(50)
+      }
+    }],
     [`Queue - should not continue processing after shutdown`, async () => {
       const processed = []
       const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe })
@@ -99,6 +601,177 @@ module.exports = ({ rootRef, timeout }) => {
 
       /* istanbul ignore next */ function processTask(x) { processed.push(x) }
     }],
+    [`Queue - pause claiming tasks until resumed`, async () => {
+      const processed = []
+      let finish = null
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe })
+      await tasksRef.push({ index: 0 })
+      try {
+        await waitFor(() => finish, { timeout })
+        let paused = false
+        const pausing = queue.pause().then(() => { paused = true })
+        await tasksRef.push({ index: 1 })
+        await wait(timeout * 0.2)
+        const pausedBeforeFinish = paused
+        finish()
+        await pausing
+        await wait(timeout * 0.2)
+        const processedWhilePaused = processed.slice()
+        queue.resume()
+        queue.resume()
+        await queue.drain()
+        const remaining = (await tasksRef.once(`value`)).val()
+        return (
+          pausedBeforeFinish || JSON.stringify(processedWhilePaused) !== `[0]` ||
+          JSON.stringify(processed) !== `[0,1]` || remaining !== null
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ pausedBeforeFinish, processed, remaining })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      async function processTask({ index }) {
+        processed.push(index)
+        if (index === 0) await new Promise(resolve => { finish = resolve })
+      }
+    }],
+    [`Queue - drain waits for tasks that are added while processing`, async () => {
+      const processed = []
+      let finish = null
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe })
+      await tasksRef.push({ index: 0 })
+      try {
+        await waitFor(() => finish, { timeout })
+        queue.pause()
+        queue.resume()
+        let drained = false
+        const draining = queue.drain().then(() => { drained = true })
+        await wait(timeout * 0.2)
+        await tasksRef.push({ index: 1 })
+        const drainedBeforeFinish = drained
+        finish()
+        await draining
+        const remaining = (await tasksRef.once(`value`)).val()
+        return (drainedBeforeFinish || JSON.stringify(processed) !== `[0,1]` || remaining !== null) &&
+          /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ processed, remaining })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      async function processTask({ index }) {
+        processed.push(index)
+        if (index === 0) await new Promise(resolve => { finish = resolve })
+      }
+    }],
+    [`Queue - drain a queue that was just created`, async () => {
+      const processed = []
+      await Promise.all([0, 1].map(index => tasksRef.push({ index })))
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe })
+      try {
+        await queue.drain()
+        const remaining = (await tasksRef.once(`value`)).val()
+        return (JSON.stringify(processed) !== `[0,1]` || remaining !== null) &&
+          /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ processed, remaining })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask({ index }) { processed.push(index) }
+    }],
+    [`Queue - pause, resume and shut down right after a task was processed`, async () => {
+      const processed = []
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe })
+      const idle = [() => { queue.pause() }, () => { queue.pause(); queue.resume() }, () => { queue.shutdown() }]
+      queue.on(`workerIdle`, () => { idle.shift()() })
+      try {
+        await tasksRef.push({ index: 0 })
+        await waitFor(() => processed.length === 1, { timeout })
+        await tasksRef.push({ index: 1 })
+        await wait(timeout * 0.2)
+        const processedWhilePaused = processed.length
+        queue.resume()
+        await waitFor(() => processed.length === 2, { timeout })
+        await tasksRef.push({ index: 2 })
+        await waitFor(() => processed.length === 3, { timeout })
+        await tasksRef.push({ index: 3 })
+        await wait(timeout * 0.2)
+        return (processedWhilePaused !== 1 || processed.length !== 3) &&
+          /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ processedWhilePaused, processed })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask({ index }) { processed.push(index) }
+    }],
+    [`Queue - change the number of workers`, async () => {
+      const running = new Map()
+      const owners = []
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe })
+      await Promise.all([0, 1, 2].map(index => tasksRef.push({ index })))
+      try {
+        await waitFor(() => running.size === 1, { timeout })
+        await queue.setNumWorkers(3)
+        await waitFor(() => running.size === 3, { timeout })
+        let retired = false
+        const retiring = queue.setNumWorkers(1).then(() => { retired = true })
+        await wait(timeout * 0.2)
+        const retiredBeforeFinish = retired
+        const signals = [...running.values()].map(x => x.signal)
+        running.forEach(({ finish }) => { finish() })
+        await retiring
+        const aborted = signals.some(x => x.aborted)
+
+        await queue.pause()
+        await queue.setNumWorkers(2)
+        await Promise.all([3, 4].map(index => tasksRef.push({ index })))
+        await wait(timeout * 0.2)
+        const processedWhilePaused = running.size
+        queue.resume()
+        await waitFor(() => running.size === 2, { timeout })
+        running.forEach(({ finish }) => { finish() })
+        await queue.drain()
+
+        const processIds = owners.map(x => x.slice(0, x.lastIndexOf(`:`)))
+        return (
+          retiredBeforeFinish || aborted || processedWhilePaused !== 0 ||
+          new Set(processIds.slice(0, 3)).size !== 3 || new Set(processIds).size !== 4
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ retiredBeforeFinish, aborted, processIds })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      async function processTask({ index }, { snapshot, signal }) {
+        owners.push(snapshot.child(`_owner`).val())
+        await new Promise(resolve => {
+          running.set(index, { signal, finish: () => { running.delete(index); resolve() } })
+        })
+      }
+    }],
+    [`Queue - require a valid number of workers when changing it`, async () => {
+      const queue = newQueue()
+      try {
+        const errors = await Promise.all([0, 1.5, `2`].map(x =>
+          queue.setNumWorkers(x).then(/* istanbul ignore next */ () => null, e => e.message)
+        ))
+        return !errors.every(e => e && e.includes(`numWorkers`)) &&
+          /* istanbul ignore next */ `Unexpected errors ${JSON.stringify(errors)}`
+      } finally {
+        await queue.shutdown()
+      }
+    }],
+    [`Queue - pause, resume, drain and setNumWorkers are not available after shutdown`, async () => {
+      const queue = newQueue()
+      await queue.shutdown()
+      const errors = await Promise.all([queue.pause, queue.resume, queue.drain, queue.setNumWorkers].map(f =>
+        new Promise(resolve => resolve(f())).then(/* istanbul ignore next */ () => null, e => e.message)
+      ))
+      return !errors.every(e => e && e.includes(`shut down`)) &&
+        /* istanbul ignore next */ `Unexpected errors ${JSON.stringify(errors)}`
+    }],
     [`Queue - should correctly report errors`, async () => {
       let reported = null
       function reportError(e) { reported = e }
@@ -112,18 +785,1560 @@ module.exports = ({ rootRef, timeout }) => {
         : /* istanbul ignore next */ `Expected an error to be reported`
 
     }],
-    [`TransactionHelper - should retry transactions`, async () => {
-      const t = new TransactionHelper({ spec: {} })
-      let tried = 0
-      await t.claim({ transaction })
+    [`LeaseRecovery - move the task to the error state when it has been recovered too often`, async () => {
+      const queue = newQueue({ options: { lease: { duration: timeout * 0.1, maxRecoveries: 1 } } })
+      const { ref } = await tasksRef.push({ _state: `in_progress`, _owner: `crashed`, _lease_expires: 0, _recoveries: 1 })
+      try {
+        await waitFor(async () => (await ref.child(`_state`).once(`value`)).val() === `error`, { timeout })
+        const { error } = (await ref.child(`_error_details`).once(`value`)).val()
+        return !error.includes(`crashed`) && /* istanbul ignore next */ `Error did not mention the expired owner`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+    }],
+    [`LeaseRecovery - release the dedupe key and fail the dependents of a task that expired too often`, async () => {
+      const indexRef = rootRef.push().ref
+      const options = { lease: { duration: timeout * 0.1, maxRecoveries: 1 }, dedupe: { indexRef }, dependencies: true }
+      const producer = newProducer({ options: { dedupe: { indexRef } } })
+      const { key } = tasksRef.push()
+      await new Dedupe({ indexRef }).reserve(`a`, key)
+      await tasksRef.child(key).set({ _state: `in_progress`, _owner: `crashed`, _lease_expires: 0, _recoveries: 1, _dedupe_key: `a` })
+      const dependent = await producer.enqueue({ _depends_on: [key], _dedupe_key: `b` })
+      const queue = new Queue({ tasksRef, processTask: dontCallMe, reportError: dontCallMe, options })
+      try {
+        await waitFor(async () => (await tasksRef.child(dependent).child(`_state`).once(`value`)).val() === `error`, { timeout })
+        await waitFor(async () => !(await indexRef.once(`value`)).exists(), { timeout })
+      } finally {
+        await queue.shutdown()
+        await Promise.all([tasksRef.remove(), indexRef.remove()])
+      }
+    }],
+    [`LeaseRecovery - leave tasks alone that changed before their lease was released`, async () => {
+      const ref = {
+        key: `a`,
+        transaction: async f => ({ committed: f({ _state: `in_progress`, _lease_expires: 2 }) !== undefined, snapshot: null }),
+      }
+      const inProgress = [{ ref, val: () => ({ _lease_expires: 0 }) }]
+      const recovery = new LeaseRecovery({
+        processId: `p`,
+        tasksRef: { orderByChild: () => ({ equalTo: () => ({ once: async () => inProgress }) }) },
+        spec: { inProgressState: `in_progress`, errorState: `error` },
+        lease: { duration: timeout, maxRecoveries: 0 },
+        history: null,
+        dedupe: null,
+        dependencies: { failed: dontCallMe },
+        serverTime: { now: () => 1 },
+        reportError: dontCallMe,
+      })
+      await recovery.shutdown()
+    }],
+    [`LeaseRecovery - should not recover tasks after shutdown`, async () => {
+      const queue = newQueue({ options: { lease: { duration: timeout * 0.1 } } })
+      await queue.shutdown()
+      const { ref } = await tasksRef.push({ _state: `in_progress`, _owner: `crashed`, _lease_expires: 0 })
+      try {
+        await wait(timeout * 0.3)
+        const state = (await ref.child(`_state`).once(`value`)).val()
+        return state !== `in_progress` && /* istanbul ignore next */ `Expected the task not to be recovered`
+      } finally {
+        await tasksRef.remove()
+      }
+    }],
+    [`DeadLetter - only move tasks that did not change after they were rejected`, async () => {
+      const deadLetterRef = rootRef.push().ref
+      const spec = { errorState: `error` }
+      const deadLetter = new DeadLetter({ tasksRef, numShards: null, deadLetterRef, spec })
+      const { ref } = await tasksRef.push({ _state: `error`, _error_details: { error: `oops` } })
+      const { ref: removedRef } = await tasksRef.push({ _state: `error`, _error_details: { error: `oops` } })
+      try {
+        const [snapshot, removed] = await Promise.all([ref.once(`value`), removedRef.once(`value`)])
+        await Promise.all([ref.update({ _state: `start` }), removedRef.remove()])
+        await Promise.all([deadLetter.move(snapshot), deadLetter.move(removed)])
+        const task = (await ref.once(`value`)).val()
+        const entries = Object.keys((await deadLetterRef.once(`value`)).val())
+        return (task._state !== `start` || JSON.stringify(entries) !== JSON.stringify([removedRef.key])) &&
+          /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ task, entries })}`
+      } finally {
+        await Promise.all([tasksRef.remove(), deadLetterRef.remove()])
+      }
+    }],
+    [`DeadLetter - report failed transactions`, async () => {
+      const deadLetterRef = rootRef.push().ref
+      const deadLetter = new DeadLetter({ tasksRef, numShards: null, deadLetterRef, spec: {} })
+      const ref = { transaction: async () => { throw new Error(`custom error`) } }
+      try {
+        const error = await deadLetter.move({ ref, key: `a`, val: () => ({}) }).then(/* istanbul ignore next */ () => null, e => e)
+        return (!error || !error.message.includes(`custom error`)) &&
+          /* istanbul ignore next */ `Expected the transaction error to be reported, got ${error}`
+      } finally {
+        await deadLetterRef.remove()
+      }
+    }],
+    [`Queue - require valid 'options.history'`, () => expectError({
+      code: [
+        () => newQueue({ options: { history: { maxEntries: 0 } } }),
+        () => newQueue({ options: { history: { auditRef: `audit` } } }),
+      ],
+      test: [e => e.message.includes(`options.history.`), `Error did not mention 'options.history'`],
+    })],
+    [`Queue - record the state transitions of a task`, async () => {
+      const auditRef = rootRef.push().ref
+      const auditedTasksRef = rootRef.push().ref
+      const histories = []
+      const options = {
+        spec: { finishedState: `finished` },
+        retry: { maxAttempts: 2, baseDelay: 10 },
+        history: { maxEntries: 3 },
+      }
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      const auditQueue = new Queue({
+        tasksRef: auditedTasksRef,
+        processTask,
+        reportError: dontCallMe,
+        options: { ...options, history: { auditRef } },
+      })
+      try {
+        const { key } = await tasksRef.push({ index: 0 })
+        const { key: auditedKey } = await auditedTasksRef.push({ index: 1 })
+        await waitFor(async () => (await tasksRef.child(key).child(`_state`).once(`value`)).val() === `finished`, { timeout })
+        await waitFor(async () => (await auditRef.child(auditedKey).once(`value`)).numChildren() === 5, { timeout })
+        const task = (await tasksRef.child(key).once(`value`)).val()
+        const audited = (await auditedTasksRef.child(auditedKey).once(`value`)).val()
+        const audit = await new Admin({ tasksRef, auditRef }).history(auditedKey)
+        const transitions = entries => entries.map(({ from = null, to = null, error = null }) => [from, to, error])
+        const expected = [
+          [null, `in_progress`, null], [`in_progress`, `_scheduled`, `oops`], [`_scheduled`, null, null],
+          [null, `in_progress`, null], [`in_progress`, `finished`, null],
+        ]
+        const [first, second] = histories.sort((a, b) => a.length - b.length)
+        return (
+          JSON.stringify(transitions(task._history)) !== JSON.stringify(expected.slice(2)) ||
+          JSON.stringify(transitions(audit)) !== JSON.stringify(expected) || audited._history ||
+          JSON.stringify(transitions(first)) !== JSON.stringify(expected.slice(1, 4)) ||
+          JSON.stringify(transitions(second)) !== JSON.stringify(expected.slice(0, 4)) ||
+          !audit[1].owner || typeof audit[1].at !== `number` || audit[2].owner
+        ) && /* istanbul ignore next */ `Unexpected history ${JSON.stringify({ task, audit, histories })}`
+      } finally {
+        await Promise.all([queue.shutdown(), auditQueue.shutdown()])
+        await Promise.all([tasksRef.remove(), auditedTasksRef.remove(), auditRef.remove()])
+      }
 
-      async function transaction() {
-        if (!tried) {
-          tried += 1
-          throw new Error('try again')
-        }
+      async function processTask(data, { getHistory }) {
+        const history = await getHistory()
+        if (history.length === 1) throw new Error(`oops`)
+        histories.push(history)
+      }
+    }],
+    [`Queue - record the removal of tasks and the state transitions made by their dependencies`, async () => {
+      const auditRef = rootRef.push().ref
+      const options = { dependencies: true, history: { auditRef } }
+      const producer = newProducer()
+      const [a, x] = await producer.enqueueBatch([{ name: `a` }, { name: `x`, fail: true }])
+      const [b, y] = await producer.enqueueBatch([{ name: `b`, _depends_on: [a] }, { name: `y`, _depends_on: [x] }])
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      try {
+        await waitFor(async () => (await auditRef.child(b).once(`value`)).numChildren() === 3, { timeout })
+        await waitFor(async () => (await auditRef.child(y).once(`value`)).exists(), { timeout })
+        const audit = (await auditRef.once(`value`)).val()
+        const transitions = key => Object.values(audit[key])
+          .map(({ from = null, to = null, error = null, removed = false }) => [from, to, error, removed])
+        const processed = [[null, `in_progress`, null, false], [`in_progress`, null, null, true]]
+        return (
+          JSON.stringify(transitions(a)) !== JSON.stringify(processed) ||
+          JSON.stringify(transitions(b)) !== JSON.stringify([[`_waiting`, null, null, false], ...processed]) ||
+          JSON.stringify(transitions(y)) !== JSON.stringify([[`_waiting`, `error`, `Dependency '${x}' failed`, false]])
+        ) && /* istanbul ignore next */ `Unexpected history ${JSON.stringify(audit)}`
+      } finally {
+        await queue.shutdown()
+        await Promise.all([tasksRef.remove(), auditRef.remove()])
+      }
+
+      function processTask({ fail }) {
+        if (fail) throw new Error(`oops`)
       }
     }],
+    [`Queue - require valid 'options.retention'`, () => expectError({
+      code: [
+        () => newQueue({ options: { retention: { finished: `3d` } } }),
+        () => newQueue({ options: { retention: { error: `3 days` } } }),
+        () => newQueue({ options: { retention: { error: 0 } } }),
+        () => newQueue({ options: { retention: { archiveRef: `archive` } } }),
+        () => newQueue({ options: { retention: { batchSize: 0 } } }),
+        () => newQueue({ options: { retention: { interval: `1m` } } }),
+      ],
+      test: [e => e.message.includes(`options.retention.`), `Error did not mention 'options.retention'`],
+    })],
+    [`Retention - remove or archive the tasks that are too old`, async () => {
+      const archiveRef = rootRef.push().ref
+      const errorTasksRef = rootRef.push().ref
+      const old = Date.now() - 2 * 24 * 60 * 60 * 1000
+      const spec = { finishedState: `finished` }
+      const archivingQueue = newQueue({
+        options: { spec, retention: { finished: `1d`, error: 1000, archiveRef, batchSize: 2, interval: timeout * 0.2 } },
+      })
+      const queue = newQueue({ tasksRef: errorTasksRef, options: { retention: { error: `1d` } } })
+      const keys = await Promise.all([
+        tasksRef.push({ index: 0, _state: `finished`, _state_changed: old }),
+        tasksRef.push({ index: 1, _state: `finished`, _state_changed: old }),
+        tasksRef.push({ index: 2, _state: `finished`, _state_changed: old }),
+        tasksRef.push({ index: 3, _state: `finished`, _state_changed: Date.now() }),
+        tasksRef.push({ index: 4, _state: `error`, _state_changed: old }),
+        tasksRef.push({ index: 5, _state: `other`, _state_changed: old }),
+        errorTasksRef.push({ index: 6, _state: `error`, _state_changed: old }),
+        errorTasksRef.push({ index: 7, _state: `finished`, _state_changed: old }),
+      ].map(async x => (await x).key))
+      try {
+        await waitFor(async () => (await archiveRef.once(`value`)).numChildren() === 4, { timeout })
+        await waitFor(async () => (await errorTasksRef.once(`value`)).numChildren() === 1, { timeout })
+        const remaining = indices(await tasksRef.once(`value`))
+        const remainingErrorTasks = indices(await errorTasksRef.once(`value`))
+        const archived = (await archiveRef.once(`value`)).val()
+        return (
+          JSON.stringify(remaining) !== `[3,5]` || JSON.stringify(remainingErrorTasks) !== `[7]` ||
+          archived[keys[0]].task.index !== 0 || typeof archived[keys[0]].archived !== `number`
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ remaining, remainingErrorTasks, archived })}`
+      } finally {
+        await Promise.all([archivingQueue.shutdown(), queue.shutdown()])
+        await Promise.all([tasksRef.remove(), errorTasksRef.remove(), archiveRef.remove()])
+      }
+
+      function indices(snapshot) {
+        const result = []
+        snapshot.forEach(x => { result.push(x.child(`index`).val()) })
+        return result
+      }
+    }],
+    [`Retention - continue after the tasks of the previous sweep`, async () => {
+      const old = Date.now() - 2 * 24 * 60 * 60 * 1000
+      const queue = newQueue({ options: { retention: { error: `1d`, batchSize: 1, interval: timeout * 0.1 } } })
+      const { key } = await tasksRef.push({ index: 0, _state: `error`, _state_changed: Date.now() })
+      await tasksRef.push({ index: 1, _state: `error`, _state_changed: Date.now() })
+      await tasksRef.push({ index: 2, _state: `error`, _state_changed: old })
+      try {
+        await waitFor(async () => (await tasksRef.once(`value`)).numChildren() === 2, { timeout })
+        await tasksRef.child(key).update({ _state_changed: old })
+        await waitFor(async () => (await tasksRef.once(`value`)).numChildren() === 1, { timeout })
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+    }],
+    [`Retention - keep the tasks that changed before they were removed`, async () => {
+      const archiveRef = rootRef.push().ref
+      const task = { _state: `error`, _state_changed: 0 }
+      const tasks = [null, { ...task, _state_changed: Date.now() }].map((current, i) => ({
+        key: `task${i}`,
+        ref: { transaction: async f => ({ committed: f(current) !== undefined }) },
+        val: () => task,
+      }))
+      const query = { once: async () => ({ forEach: f => { tasks.forEach(f) }, numChildren: () => tasks.length }) }
+      const tasksRef = { orderByChild: () => ({ startAt: () => ({ endAt: () => ({ limitToFirst: () => query }) }) }) }
+      const retention = new Retention({
+        tasksRef,
+        spec: { finishedState: null, errorState: `error` },
+        retention: { finished: null, error: 1000, archiveRef, batchSize: 10, interval: 1000 },
+        serverTime: { now: Date.now },
+        reportError: dontCallMe,
+      })
+      try {
+        await retention.shutdown()
+        const archived = Object.keys((await archiveRef.once(`value`)).val())
+        return JSON.stringify(archived) !== `["task0"]` &&
+          /* istanbul ignore next */ `Unexpected archived tasks ${JSON.stringify(archived)}`
+      } finally {
+        await archiveRef.remove()
+      }
+    }],
+    [`Producer - require the 'new' keyword`, () => expectError({
+      code: () => Producer({ tasksRef }),
+      test: [e => e.message.includes(`new`), `Error did not mention 'new'`],
+    })],
+    [`Producer - require a valid 'tasksRef'`, () => expectError({
+      code: [() => newProducer({ tasksRef: `invalid` }), () => newProducer({ tasksRef: undefined })],
+      test: [e => e.message.includes(`tasksRef`), `Error did not mention 'tasksRef'`],
+    })],
+    [`Producer - require a valid 'spec'`, () => expectError({
+      code: [() => newProducer({ options: { spec: { errorState: null } } })],
+      test: [e => e.message.includes(`spec.errorState`), `Error did not mention 'spec.errorState'`],
+    })],
+    [`Producer - require a valid 'options.reservedKeys'`, () => expectError({
+      code: [() => newProducer({ options: { reservedKeys: `ignore` } })],
+      test: [e => e.message.includes(`reservedKeys`), `Error did not mention 'reservedKeys'`],
+    })],
+    [`Producer - require a valid 'options.numShards'`, () => expectError({
+      code: [() => newProducer({ options: { numShards: `2` } })],
+      test: [e => e.message.includes(`numShards`), `Error did not mention 'numShards'`],
+    })],
+    [`Producer - require valid 'options.dedupe'`, () => expectError({
+      code: [
+        () => newProducer({ options: { dedupe: { indexRef: `index` } } }),
+        () => newProducer({ options: { dedupe: { onDuplicate: `ignore` } } }),
+      ],
+      test: [e => e.message.includes(`options.dedupe.`), `Error did not mention 'options.dedupe'`],
+    })],
+    [`Producer - reject invalid task data`, async () => {
+      const producer = newProducer()
+      const attempts = [
+        [() => producer.enqueue(`invalid`), `must be an object`],
+        [() => producer.enqueue([]), `must be an object`],
+        [() => producer.enqueue({ _state: `done`, _owner: `me` }), `reserved keys: _state, _owner`],
+        [() => producer.enqueue({ _run_at: `tomorrow` }), `_run_at`],
+        [() => producer.enqueue({ _priority: Infinity }), `_priority`],
+        [() => producer.enqueue({ _timeout: 0 }), `_timeout`],
+        [() => producer.enqueue({ _dedupe_key: `` }), `_dedupe_key`],
+        [() => producer.enqueue({ _depends_on: `key` }), `_depends_on`],
+        [() => producer.enqueue({ _depends_on: [`key`, ``] }), `_depends_on`],
+        [() => producer.enqueue({ _depends_on: [`key`], _run_at: 0 }), `both _depends_on and _run_at`],
+        [() => producer.enqueueBatch({ index: 0 }), `must be an array`],
+        [() => producer.enqueueBatch([{ index: 0 }, { _progress: 50 }]), `reserved keys: _progress`],
+      ]
+      const errors = await Promise.all(attempts.map(([f]) => f().then(/* istanbul ignore next */ () => null, e => e.message)))
+      const unexpected = errors.filter((error, i) => !error || !error.includes(attempts[i][1]))
+      const snapshot = await tasksRef.once(`value`)
+      return (unexpected.length || snapshot.exists()) &&
+        /* istanbul ignore next */ `Unexpected errors or tasks were added: ${JSON.stringify(errors)}`
+    }],
+    [`Producer - add a batch of tasks with a single update`, async () => {
+      const updates = []
+      const recordingParent = Object.create(tasksRef.parent, { update: { value: recordUpdate } })
+      const recordingTasksRef = Object.create(tasksRef, { parent: { value: recordingParent } })
+      const options = { spec: { startState: `start` }, reservedKeys: `strip` }
+      const producer = newProducer({ tasksRef: recordingTasksRef, options })
+      try {
+        const keys = await producer.enqueueBatch([{ index: 0, _owner: `me` }, { index: 1, _priority: 5, _run_at: 10 }])
+        const tasks = (await tasksRef.once(`value`)).val()
+        const expected = { // firebase sorts the keys
+          [keys[0]]: { _state: `start`, _state_priority: statePriority(`start`, 0), index: 0 },
+          [keys[1]]: { _priority: 5, _run_at: 10, _state: `start`, _state_priority: statePriority(`start`, 5), index: 1 },
+        }
+        return (
+          JSON.stringify(tasks) !== JSON.stringify(expected) ||
+          JSON.stringify(updates) !== JSON.stringify([keys.map(key => `${tasksRef.key}/${key}`)])
+        ) && /* istanbul ignore next */ `Unexpected tasks ${JSON.stringify({ tasks, updates })}`
+      } finally {
+        await tasksRef.remove()
+      }
+
+      function recordUpdate(values) {
+        updates.push(Object.keys(values))
+        return tasksRef.parent.update(values)
+      }
+    }],
+    [`Producer - add a task and its registrations as dependents with a single update`, async () => {
+      const updates = []
+      const dependentsRef = tasksRef.parent.child(`_dependents`)
+      const recordingParent = Object.create(tasksRef.parent, { update: { value: recordUpdate } })
+      const producer = newProducer({ tasksRef: Object.create(tasksRef, { parent: { value: recordingParent } }) })
+      try {
+        const { key: dependency } = await tasksRef.push({ name: `dependency` })
+        const key = await producer.enqueue({ name: `dependent`, _depends_on: [dependency] })
+        const dependents = (await dependentsRef.once(`value`)).val()
+        return (
+          JSON.stringify(updates) !== JSON.stringify([[`${tasksRef.key}/${key}`, `_dependents/${dependency}/${key}`]]) ||
+          JSON.stringify(dependents) !== JSON.stringify({ [dependency]: { [key]: true } })
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ updates, dependents })}`
+      } finally {
+        await Promise.all([tasksRef.remove(), dependentsRef.remove()])
+      }
+
+      function recordUpdate(values) {
+        updates.push(Object.keys(values))
+        return tasksRef.parent.update(values)
+      }
+    }],
+    [`Producer - wait for a task to finish or fail`, async () => {
+      const options = { spec: { finishedState: `finished` } }
+      const producer = newProducer({ options })
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      try {
+        const result = await producer.enqueueAndWait({ value: 1, _priority: 2 })
+        const [error, errorWithoutMessage] = await Promise.all([
+          producer.enqueueAndWait({ fail: `oops` }).catch(e => e),
+          producer.enqueueAndWait({ fail: `` }).catch(e => e),
+        ])
+        return (
+          JSON.stringify(result) !== JSON.stringify({ _priority: 2, done: true, value: 1 }) ||
+          error.message !== `oops` || error.details.error !== `oops` ||
+          !errorWithoutMessage.message.includes(`without an error message`)
+        ) && /* istanbul ignore next */ `Unexpected results ${JSON.stringify({ result, error: error.message })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask(data) {
+        if (`fail` in data) return Promise.reject(data.fail)
+        return { ...data, done: true }
+      }
+    }],
+    [`Producer - wait for a task to be removed or moved to the error state`, async () => {
+      const producer = newProducer()
+      const removed = producer.enqueueAndWait({ index: 0 })
+      const failed = producer.enqueueAndWait({ index: 1 }).catch(e => e)
+      await waitFor(async () => (await tasksRef.once(`value`)).numChildren() === 2, { timeout })
+      const [first, second] = Object.keys((await tasksRef.once(`value`)).val())
+      await tasksRef.child(first).remove()
+      await tasksRef.child(second).update({ _state: `error` })
+      try {
+        const [result, error] = await Promise.all([removed, failed])
+        return (result !== null || error.details !== null) &&
+          /* istanbul ignore next */ `Unexpected results ${JSON.stringify({ result, error })}`
+      } finally {
+        await tasksRef.remove()
+      }
+    }],
+    [`Producer - merge or reject tasks with the dedupe key of a pending task`, async () => {
+      const indexRef = rootRef.push().ref
+      const producer = newProducer({ options: { dedupe: { indexRef } } })
+      const rejectingProducer = newProducer({ options: { dedupe: { indexRef, onDuplicate: `reject` } } })
+      try {
+        const [first, second, other] = await producer.enqueueBatch([
+          { index: 0, _dedupe_key: `a/b.c` }, { index: 1, _dedupe_key: `a/b.c` }, { index: 2, _dedupe_key: `d` },
+        ])
+        const merged = await producer.enqueue({ index: 3, _dedupe_key: `d` })
+        const plain = await producer.enqueue({ index: 4 })
+        const error = await rejectingProducer.enqueueBatch([{ index: 5, _dedupe_key: `e` }, { index: 6, _dedupe_key: `a/b.c` }])
+          .then(/* istanbul ignore next */ () => null, e => e)
+        const tasks = (await tasksRef.once(`value`)).val()
+        const index = (await indexRef.once(`value`)).val()
+        return (
+          first !== second || other !== merged || first === other || plain === first ||
+          Object.keys(tasks).length !== 3 || tasks[first]._dedupe_key !== `a/b.c` ||
+          error.name !== `DuplicateError` || error.key !== first || error.dedupeKey !== `a/b.c` ||
+          JSON.stringify(Object.keys(index)) !== `["a%2Fb%2Ec","d"]` || index.d.task !== other
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ tasks, index, error: String(error) })}`
+      } finally {
+        await Promise.all([tasksRef.remove(), indexRef.remove()])
+      }
+    }],
+    [`Producer - release the dedupe keys when adding the tasks failed`, async () => {
+      const indexRef = rootRef.push().ref
+      const failingParent = Object.create(tasksRef.parent, { update: { value: async () => { throw new Error(`oops`) } } })
+      const failingTasksRef = Object.create(tasksRef, { parent: { value: failingParent } })
+      const producer = newProducer({ tasksRef: failingTasksRef, options: { dedupe: { indexRef } } })
+      try {
+        const error = await producer.enqueue({ _dedupe_key: `a` }).then(/* istanbul ignore next */ () => null, e => e)
+        const index = await indexRef.once(`value`)
+        return (error.message !== `oops` || index.exists()) &&
+          /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ error: String(error), index: index.val() })}`
+      } finally {
+        await indexRef.remove()
+      }
+    }],
+    [`Queue - require valid 'options.dedupe'`, () => expectError({
+      code: [
+        () => newQueue({ options: { dedupe: { indexRef: `index` } } }),
+        () => newQueue({ options: { dedupe: { window: -1 } } }),
+        () => newQueue({ options: { dedupe: { window: `1 hour` } } }),
+      ],
+      test: [e => e.message.includes(`options.dedupe.`), `Error did not mention 'options.dedupe'`],
+    })],
+    [`Queue - keep the dedupe key for the given window and skip duplicates`, async () => {
+      const indexRef = rootRef.push().ref
+      const windowIndexRef = rootRef.push().ref
+      const processed = []
+      const duplicates = []
+      const producer = newProducer({ options: { dedupe: { indexRef } } })
+      const windowProducer = newProducer({ options: { dedupe: { indexRef: windowIndexRef } } })
+      const queue = new Queue({
+        tasksRef, processTask, reportError: dontCallMe, options: { dedupe: { indexRef: windowIndexRef, window: `1h` } },
+      })
+      queue.on(`duplicate`, ({ key, duplicateOf }) => { duplicates.push([key, duplicateOf]) })
+      try {
+        const first = await windowProducer.enqueue({ index: 0, _dedupe_key: `a` })
+        await queue.drain()
+        const second = await windowProducer.enqueue({ index: 1, _dedupe_key: `a` })
+        // pushed without the dedupe index of the queue
+        const { key: pushed } = await tasksRef.push({ index: 2, _dedupe_key: `a` })
+        const failing = await windowProducer.enqueue({ index: 3, _dedupe_key: `b` })
+        await queue.drain()
+        const retried = await windowProducer.enqueue({ index: 4, _dedupe_key: `b` })
+        const third = await producer.enqueue({ index: 5, _dedupe_key: `a` })
+        await queue.drain()
+        const index = (await windowIndexRef.once(`value`)).val()
+        const remaining = Object.keys((await tasksRef.once(`value`)).val())
+        return (
+          second !== first || JSON.stringify(duplicates) !== JSON.stringify([[pushed, first], [third, first]]) ||
+          JSON.stringify(processed) !== `[0,3]` || retried !== failing || index.a.task !== first ||
+          !(index.a.expires > Date.now()) || JSON.stringify(remaining) !== JSON.stringify([failing])
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ processed, duplicates, index, remaining })}`
+      } finally {
+        await queue.shutdown()
+        await Promise.all([tasksRef.remove(), indexRef.remove(), windowIndexRef.remove()])
+      }
+
+      function processTask({ index }) {
+        processed.push(index)
+        if (index === 3) throw new Error(`oops`)
+      }
+    }],
+    [`Queue - release the dedupe key when the task is done`, async () => {
+      const indexRef = rootRef.push().ref
+      const options = { dedupe: { indexRef } }
+      const producer = newProducer({ options })
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      try {
+        const first = await producer.enqueue({ index: 0, _dedupe_key: `a` })
+        await queue.drain()
+        const second = await producer.enqueue({ index: 1, _dedupe_key: `a` })
+        await queue.drain()
+        const index = await indexRef.once(`value`)
+        return (first === second || index.exists()) &&
+          /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ first, second, index: index.val() })}`
+      } finally {
+        await queue.shutdown()
+        await Promise.all([tasksRef.remove(), indexRef.remove()])
+      }
+
+      function processTask() {}
+    }],
+    [`Queue - remove duplicates instead of passing them to the next spec`, async () => {
+      const indexRef = rootRef.push().ref
+      const processed = []
+      const duplicates = []
+      const options = { dedupe: { indexRef }, dependencies: true, spec: { finishedState: `done` } }
+      const producer = newProducer({ options: { spec: options.spec } })
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      queue.on(`duplicate`, ({ key }) => { duplicates.push(key) })
+      try {
+        await new Dedupe({ indexRef }).reserve(`a`, `first`)
+        const { key } = await tasksRef.push({ index: 0, _dedupe_key: `a` })
+        const dependent = await producer.enqueue({ index: 1, _depends_on: [key] })
+        await waitFor(async () => (await tasksRef.child(dependent).child(`_state`).once(`value`)).val() === `done`, { timeout })
+        const duplicate = await tasksRef.child(key).once(`value`)
+        return (
+          duplicate.exists() || JSON.stringify(duplicates) !== JSON.stringify([key]) ||
+          JSON.stringify(processed) !== `[1]`
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ duplicate, duplicates, processed })}`
+      } finally {
+        await queue.shutdown()
+        await Promise.all([tasksRef.remove(), indexRef.remove()])
+      }
+
+      function processTask({ index }) { processed.push(index) }
+    }],
+    [`Queue - report duplicates that could not be removed`, async () => {
+      const indexRef = rootRef.push().ref
+      const reported = []
+      const options = { dedupe: { indexRef } }
+      const queue = new Queue({ tasksRef, processTask: dontCallMe, reportError: e => { reported.push(e) }, options })
+      // the task is taken over while the worker reserves its dedupe key
+      queue.on(`claimed`, ({ key }) => { tasksRef.child(key).update({ _owner: `other` }) })
+      try {
+        await new Dedupe({ indexRef }).reserve(`a`, `first`)
+        await tasksRef.push({ _dedupe_key: `a` })
+        await waitFor(() => reported.length, { timeout })
+        return reported[0].message !== `Could not remove duplicate of task 'first'` &&
+          /* istanbul ignore next */ `Unexpected error ${reported[0]}`
+      } finally {
+        await queue.shutdown()
+        await Promise.all([tasksRef.remove(), indexRef.remove()])
+      }
+    }],
+    [`Dedupe - only release the dedupe key of the task that holds it`, async () => {
+      const indexRef = rootRef.push().ref
+      const dedupe = new Dedupe({ indexRef })
+      try {
+        await dedupe.reserve(`a`, `first`)
+        await dedupe.release(`a`, `second`, 0)
+        const duplicateOf = await dedupe.reserve(`a`, `third`)
+        return duplicateOf !== `first` && /* istanbul ignore next */ `Unexpected holder ${duplicateOf}`
+      } finally {
+        await indexRef.remove()
+      }
+    }],
+    [`Dedupe - report failed transactions`, async () => {
+      const indexRef = { root: rootRef.root, child: () => ({ transaction: async () => { throw new Error(`custom error`) } }) }
+      const error = await new Dedupe({ indexRef }).reserve(`a`, `key`).then(/* istanbul ignore next */ () => null, e => e)
+      return (!error || !error.message.includes(`custom error`)) &&
+        /* istanbul ignore next */ `Expected the transaction error to be reported, got ${error}`
+    }],
+    [`toErrorDetails - keep a serializable subset of the error`, async () => {
+      const circular = { name: `circular` }
+      circular.details = circular
+      circular.cause = circular
+      const error = new QueueError(`oops`, { code: { invalid: true }, details: circular, cause: circular })
+      const { error: message, name, code, details, cause, error_stack } = toErrorDetails(error)
+      const causes = []
+      for (let x = cause; x; x = x.cause) causes.push(x)
+      const plain = toErrorDetails(`oops`)
+      const invalidKeys = toErrorDetails(Object.assign(new Error(`oops`), {
+        details: { '': 1, 'a.b': [{ '#$[]/%': 2 }], '\n': 3 },
+        cause: { toJSON: () => ({ 'c/d': 4 }) },
+      }))
+      const { retryable } = new QueueError(`oops`)
+      return (
+        message !== `oops` || name !== `QueueError` || retryable !== null || code !== null || details !== null || !error_stack ||
+        JSON.stringify(invalidKeys.details) !== `{"a%2Eb":[{"%23%24%5B%5D%2F%25":2}],"%0A":3}` ||
+        JSON.stringify(invalidKeys.cause.details) !== `{"c%2Fd":4}` || causes.length !== 10 || causes[0].name !== `circular` || causes[0].error !== `[object Object]` ||
+        JSON.stringify(plain) !==
+          `{"error":"oops","name":null,"code":null,"details":null,"cause":null,"error_stack":null}`
+      ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ name, code, details, plain })}`
+    }],
+    [`Dependencies - ignore dependents that are missing or not waiting`, async () => {
+      const dependentsRef = tasksRef.parent.child(`_dependents`)
+      const dependencies = new Dependencies({ tasksRef, numShards: null, spec: { errorState: `error` } })
+      try {
+        await tasksRef.child(`notWaiting`).set({ _state: `start` })
+        await dependentsRef.child(`resolved`).set({ missing: true, notWaiting: true })
+        await dependentsRef.child(`failed`).set({ missing: true, notWaiting: true })
+        await dependencies.resolved(`resolved`)
+        await dependencies.failed(`failed`)
+        const [tasks, dependents] = await Promise.all([tasksRef.once(`value`), dependentsRef.once(`value`)])
+        return (JSON.stringify(tasks.val()) !== `{"notWaiting":{"_state":"start"}}` || dependents.exists()) &&
+          /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ tasks, dependents })}`
+      } finally {
+        await tasksRef.remove()
+      }
+    }],
+    [`Dependencies - handle children that finish or fail before their parent is resolved`, async () => {
+      const spec = { startState: null, inProgressState: `in_progress`, finishedState: `finished`, errorState: `error` }
+      const dependencies = new Dependencies({ tasksRef, numShards: null, spec })
+      const t = new TransactionHelper({ processId: `p`, spec })
+      try {
+        await tasksRef.update({ a: { _state: `in_progress`, _owner: `p:0` }, b: { _state: `in_progress`, _owner: `p:0` } })
+        const [finished, failed] = [`a`, `b`].map(key => dependencies.createChildren(key, [{ index: 0 }]))
+        await Promise.all([dependencies.spawn(`a`, finished), dependencies.spawn(`b`, failed)])
+        await dependencies.resolved(finished[0].key, { index: 1 })
+        await tasksRef.child(failed[0].key).update({ _state: `error` })
+        await dependencies.failed(failed[0].key)
+
+        const results = await Promise.all([[`a`, finished], [`b`, failed]].map(async ([key, children]) => {
+          const { snapshot } = await t.resolveWith(tasksRef.child(key), null, children.map(x => x.key))
+          await dependencies.spawned(key, snapshot.val())
+          return (await tasksRef.child(key).once(`value`)).val()
+        }))
+        const [a, b] = results
+        return (
+          a._state !== `finished` || a._child_results[finished[0].key].result.index !== 1 ||
+          b._state !== `error` || b._error_details.error !== `Dependency '${failed[0].key}' failed`
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify(results)}`
+      } finally {
+        await tasksRef.remove()
+        await tasksRef.parent.child(`_dependents`).remove()
+      }
+    }],
+    [`Dependencies - report failed transactions`, async () => {
+      const failingRef = { transaction: async () => { throw new Error(`custom error`) } }
+      const dependentsRef = { once: async () => ({ val: () => ({ dependent: true }) }), remove: async () => {} }
+      const tasksRef = { parent: { child: () => ({ child: () => dependentsRef }) }, child: () => failingRef }
+      const dependencies = new Dependencies({ tasksRef, numShards: null, spec: { errorState: `error` } })
+      const error = await dependencies.resolved(`key`).then(/* istanbul ignore next */ () => null, e => e)
+      return (!error || !error.message.includes(`custom error`)) &&
+        /* istanbul ignore next */ `Expected the transaction error to be reported, got ${error}`
+    }],
+    [`Queue - process a task once its dependencies are finished`, async () => {
+      const processed = []
+      let finish = null
+      const options = { spec: { finishedState: `finished` }, dependencies: true, numShards: 2, numWorkers: 2 }
+      const producer = newProducer({ options })
+      const queue = new ShardedQueue({ tasksRef, processTask, reportError: dontCallMe, options })
+      try {
+        const [first, second] = await producer.enqueueBatch([{ name: `first` }, { name: `second` }])
+        const zip = await producer.enqueue({ name: `zip`, _depends_on: [first, second], _priority: 1 })
+        const zipRef = tasksRef.child(`shard_${shardOf(zip, 2)}`).child(zip)
+        await waitFor(() => finish, { timeout })
+        const waiting = (await zipRef.once(`value`)).val()
+        finish()
+        await waitFor(async () => (await zipRef.child(`_state`).once(`value`)).val() === `finished`, { timeout })
+        const dependents = await tasksRef.parent.child(`_dependents`).once(`value`)
+        return (
+          waiting._state !== `_waiting` || waiting._state_priority !== statePriority(`_waiting`, 1) ||
+          !waiting._waiting_for[first] ||
+          processed[2] !== `zip` || processed.length !== 3 || dependents.exists()
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ waiting, processed })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      async function processTask(data) {
+        if (data.name === `first`) await new Promise(resolve => { finish = resolve })
+        processed.push(data._depends_on === undefined && data._waiting_for === undefined && data.name)
+      }
+    }],
+    [`Queue - move the dependents of a failed task to the error state`, async () => {
+      const options = { spec: { finishedState: `finished` }, dependencies: true }
+      const producer = newProducer({ options })
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      const stateOf = async key => (await tasksRef.child(key).child(`_state`).once(`value`)).val()
+      try {
+        const [failing, finished] = await producer.enqueueBatch([{ fail: true }, {}])
+        const dependent = await producer.enqueue({ _depends_on: [failing, finished] })
+        const indirect = await producer.enqueue({ _depends_on: [dependent] })
+        await queue.drain()
+        const [late, unknown] = await producer.enqueueBatch([{ _depends_on: [failing] }, { _depends_on: [finished, `unknown`] }])
+        const noDependencies = await producer.enqueue({ name: `none`, _depends_on: [] })
+        await waitFor(async () => (await stateOf(noDependencies)) === `finished`, { timeout })
+        const states = await Promise.all([dependent, indirect, late, unknown].map(stateOf))
+        const error = (await tasksRef.child(indirect).child(`_error_details`).once(`value`)).val()
+        const dependents = await tasksRef.parent.child(`_dependents`).once(`value`)
+        return (
+          JSON.stringify(states) !== `["error","error","error","finished"]` ||
+          error.error !== `Dependency '${dependent}' failed` || dependents.exists()
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ states, error })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask({ fail }) {
+        if (fail) throw new Error(`oops`)
+      }
+    }],
+    [`Queue - fail the dependents of a failed task that was moved to the dead letter ref`, async () => {
+      let attempts = 0
+      const deadLetterRef = rootRef.push().ref
+      const options = { dependencies: true, deadLetterRef }
+      const producer = newProducer({ options })
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      const stateOf = async key => (await tasksRef.child(key).child(`_state`).once(`value`)).val()
+      try {
+        const failing = await producer.enqueue({})
+        await waitFor(async () => (await deadLetterRef.child(failing).once(`value`)).exists(), { timeout })
+        await waitFor(async () => !(await tasksRef.child(failing).once(`value`)).exists(), { timeout })
+        const dependent = await producer.enqueue({ _depends_on: [failing] })
+        await waitFor(async () => (await stateOf(dependent)) === `error`, { timeout })
+
+        await queue.redrive([failing])
+        await waitFor(async () => !(await tasksRef.child(failing).once(`value`)).exists(), { timeout })
+        const later = await producer.enqueue({ _depends_on: [failing] })
+        await waitFor(async () => !(await tasksRef.child(later).once(`value`)).exists(), { timeout })
+        return attempts !== 3 && /* istanbul ignore next */ `Unexpected number of attempts ${attempts}`
+      } finally {
+        await queue.shutdown()
+        await Promise.all([tasksRef.remove(), deadLetterRef.remove()])
+      }
+
+      function processTask() {
+        attempts += 1
+        if (attempts === 1) throw new Error(`oops`)
+      }
+    }],
+    [`Queue - release the dedupe key of a dependent that fails`, async () => {
+      const indexRef = rootRef.push().ref
+      const options = { dedupe: { indexRef }, dependencies: true }
+      const producer = newProducer({ options: { dedupe: { indexRef } } })
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      try {
+        const failing = await producer.enqueue({})
+        await producer.enqueue({ _depends_on: [failing], _dedupe_key: `a` })
+        await waitFor(async () => !(await indexRef.once(`value`)).exists(), { timeout })
+      } finally {
+        await queue.shutdown()
+        await Promise.all([tasksRef.remove(), indexRef.remove()])
+      }
+
+      function processTask() { throw new Error(`oops`) }
+    }],
+    [`Queue - let tasks with '_depends_on' that were pushed without a producer wait`, async () => {
+      const processed = []
+      const options = { spec: { finishedState: `finished` }, dependencies: true }
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      try {
+        // the dependency is not started yet, a dependency that does not exist counts as finished
+        const { key: dependency } = await tasksRef.push({ name: `dependency`, _state: `later` })
+        const { key: dependent } = await tasksRef.push({ name: `dependent`, _depends_on: [dependency] })
+        await waitFor(async () => (await tasksRef.child(dependent).child(`_state`).once(`value`)).val() === `_waiting`, { timeout })
+        const registered = (await tasksRef.parent.child(`_dependents`).child(dependency).once(`value`)).val()
+        await tasksRef.child(dependency).set({ name: `dependency` })
+        await waitFor(async () => (await tasksRef.child(dependent).child(`_state`).once(`value`)).val() === `finished`, { timeout })
+        const dependsOn = await tasksRef.child(dependent).child(`_depends_on`).once(`value`)
+        return (
+          JSON.stringify(processed) !== `["dependency","dependent"]` ||
+          JSON.stringify(registered) !== JSON.stringify({ [dependent]: true }) || dependsOn.exists()
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ processed, registered })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask({ name }) { processed.push(name) }
+    }],
+    [`Pipeline - aggregate the results of spawned children in the next stage`, async () => {
+      const spawned = []
+      const stages = [
+        { name: `import`, processTask: importLines, options: { dependencies: true } },
+        { name: `aggregate`, processTask: (data, { childResults }) => ({ ...data, results: childResults }) },
+      ]
+      const pipeline = newPipeline({ stages, options: { finishedState: `done` } })
+      const producer = newProducer({ options: { spec: pipeline.specs[0] } })
+      try {
+        const { key } = await tasksRef.push({ lines: [1, 2] })
+        const dependent = await producer.enqueue({ line: 4, _depends_on: [key] })
+        await waitFor(async () => (await tasksRef.child(dependent).child(`_state`).once(`value`)).val() === `done`, { timeout: timeout * 1.5 })
+        const tasks = (await tasksRef.once(`value`)).val()
+        const dependents = await tasksRef.parent.child(`_dependents`).once(`value`)
+        const { results, _children, _state } = tasks[key]
+        return (
+          JSON.stringify(results) !== `[{"doubled":2,"line":1},{"doubled":4,"line":2}]` ||
+          _state !== `done` || _children || spawned.length !== 2 || spawned.some(x => tasks[x]) ||
+          Object.keys(tasks).length !== 2 || dependents.exists()
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ tasks, spawned })}`
+      } finally {
+        await pipeline.shutdown()
+        await tasksRef.remove()
+      }
+
+      function importLines(data, { spawn }) {
+        if (data.lines) spawned.push(...spawn(data.lines.map(line => ({ line }))), ...spawn([]))
+        else return { ...data, doubled: data.line * 2 }
+      }
+    }],
+    [`Queue - move the parent of a failed child to the error state`, async () => {
+      const errors = []
+      const options = { spec: { finishedState: `finished` }, dependencies: true }
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      try {
+        const { key } = await tasksRef.push({ children: [{ index: 0 }, { fail: true, _priority: 1 }] })
+        const { key: child } = await tasksRef.push({ nested: true, _parent: key })
+        await waitFor(async () => (await tasksRef.child(key).child(`_state`).once(`value`)).val() === `error`, { timeout })
+        const { _error_details, _children } = (await tasksRef.child(key).once(`value`)).val()
+        const childError = (await tasksRef.child(child).child(`_error_details`).once(`value`)).val()
+        return (
+          _error_details.error !== `Dependency '${_children[1]}' failed` ||
+          childError.error !== `Children can not spawn children` ||
+          JSON.stringify(errors) !== JSON.stringify([
+            `Children must be an array of objects`,
+            `Children must be an array of objects`,
+            `Children can not contain reserved keys: _state, _owner`,
+          ])
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ _error_details, childError, errors })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask({ children, fail, nested }, { spawn }) {
+        if (fail) throw new Error(`oops`)
+        if (nested) spawn([{}])
+        if (!children) return
+        const invalid = [`children`, [1], [{ _state: `start`, _owner: `me` }]]
+        invalid.forEach(x => {
+          try { spawn(x) } catch (e) { errors.push(e.message) }
+        })
+        spawn(children)
+      }
+    }],
+    [`Queue - reject a task when its children can not be added`, async () => {
+      const options = { spec: { finishedState: `finished` }, dependencies: true }
+      const queue = new Queue({ tasksRef, processTask, reportError: dontCallMe, options })
+      try {
+        const { ref } = await tasksRef.push({ index: 0 })
+        await waitFor(async () => (await ref.child(`_state`).once(`value`)).val() === `error`, { timeout })
+        const tasks = (await tasksRef.once(`value`)).val()
+        const dependents = await tasksRef.parent.child(`_dependents`).once(`value`)
+        return (Object.keys(tasks).length !== 1 || tasks[ref.key]._waiting_for || dependents.exists()) &&
+          /* istanbul ignore next */ `Unexpected result ${JSON.stringify(tasks)}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask(data, { spawn }) {
+        spawn([{ 'bad.key': 1 }])
+      }
+    }],
+    [`Queue - require the dependencies option and a finishedState to spawn children`, async () => {
+      const queue = new Queue({ tasksRef, processTask: (data, { spawn }) => { spawn([{}]) }, reportError: dontCallMe })
+      const dependencies = new Dependencies({ tasksRef, numShards: null, spec: { finishedState: null } })
+      try {
+        const { ref } = await tasksRef.push({ index: 0 })
+        await waitFor(async () => (await ref.child(`_state`).once(`value`)).val() === `error`, { timeout })
+        const { error } = (await ref.child(`_error_details`).once(`value`)).val()
+        return expectError({
+          code: () => dependencies.createChildren(`parent`, [{}]),
+          test: [e => e.message.includes(`finishedState`), `Error did not mention 'finishedState'`],
+        }) || (!error.includes(`dependencies`) && /* istanbul ignore next */ `Unexpected error ${error}`)
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+    }],
+    [`ShardedQueue - require the 'new' keyword`, () => expectError({
+      code: () => ShardedQueue({ ...validConfig, options: { numShards: 2 } }),
+      test: [e => e.message.includes(`new`), `Error did not mention 'new'`],
+    })],
+    [`ShardedQueue - require a valid 'options.numShards'`, () => expectError({
+      code: [
+        () => new ShardedQueue(validConfig),
+        () => new ShardedQueue({ ...validConfig, options: { numShards: null } }),
+      ],
+      test: [e => e.message.includes(`numShards`), `Error did not mention 'numShards'`],
+    })],
+    [`ShardedQueue - spread the tasks over the shards and process the tasks of all shards`, async () => {
+      const processed = []
+      const options = { numShards: 3, spec: { finishedState: `finished` } }
+      const producer = newProducer({ options })
+      const keys = await producer.enqueueBatch([0, 1, 2, 3, 4, 5].map(index => ({ index })))
+      const tasks = (await tasksRef.once(`value`)).val()
+      const queue = new ShardedQueue({ tasksRef, processTask, reportError: dontCallMe, options })
+      try {
+        await queue.drain()
+        const result = await producer.enqueueAndWait({ index: 6 })
+        const misplaced = keys.filter(key => !tasks[`shard_${shardOf(key, 3)}`][key])
+        return (
+          !(queue instanceof Queue) || misplaced.length || Object.keys(tasks).some(x => !x.startsWith(`shard_`)) ||
+          JSON.stringify(processed.sort()) !== `[0,1,2,3,4,5,6]` || result.index !== 6
+        ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ tasks, processed, result })}`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask({ index }) {
+        processed.push(index)
+        return { index }
+      }
+    }],
+    [`ShardedQueue - redrive a task to its shard`, async () => {
+      let attempts = 0
+      const deadLetterRef = rootRef.push().ref
+      const options = { numShards: 2, deadLetterRef }
+      const key = await newProducer({ options }).enqueue({ index: 0 })
+      const taskRef = tasksRef.child(`shard_${shardOf(key, 2)}`).child(key)
+      const queue = new ShardedQueue({ tasksRef, processTask, reportError: dontCallMe, options })
+      try {
+        // the task is removed after it has been added to the dead letters
+        await waitFor(async () => !(await tasksRef.once(`value`)).exists(), { timeout })
+        await waitFor(async () => (await deadLetterRef.once(`value`)).exists(), { timeout })
+        const failed = await tasksRef.once(`value`)
+        await queue.redrive([key])
+        await waitFor(async () => !(await taskRef.once(`value`)).exists(), { timeout })
+        return (attempts !== 2 || failed.exists()) &&
+          /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ attempts, failed: failed.val() })}`
+      } finally {
+        await queue.shutdown()
+        await Promise.all([tasksRef.remove(), deadLetterRef.remove()])
+      }
+
+      function processTask() {
+        attempts += 1
+        if (attempts === 1) throw new Error(`oops`)
+      }
+    }],
+    [`Pipeline - require the 'new' keyword`, () => expectError({
+      code: () => Pipeline({ tasksRef, reportError: dontCallMe, stages: [stage(`a`)] }),
+      test: [e => e.message.includes(`new`), `Error did not mention 'new'`],
+    })],
+    [`Pipeline - require a valid 'tasksRef' and 'reportError'`, () => expectError({
+      code: [
+        () => newPipeline({ tasksRef: `invalid`, stages: [stage(`a`)] }),
+        () => newPipeline({ reportError: undefined, stages: [stage(`a`)] }),
+      ],
+      test: [e => /tasksRef|reportError/.test(e.message), `Error did not mention 'tasksRef' or 'reportError'`],
+    })],
+    [`Pipeline - require valid 'stages'`, () => expectError({
+      code: [
+        () => newPipeline({ stages: undefined }),
+        () => newPipeline({ stages: [] }),
+        () => newPipeline({ stages: [null] }),
+        () => newPipeline({ stages: [stage(`a`), stage(`b c`)] }),
+        () => newPipeline({ stages: [{ name: `a` }] }),
+        () => newPipeline({ stages: [{ ...stage(`a`), numWorkers: 0 }] }),
+        () => newPipeline({ stages: [{ ...stage(`a`), options: null }] }),
+        () => newPipeline({ stages: [{ ...stage(`a`), options: { spec: {} } }] }),
+      ],
+      test: [e => e.message.includes(`stages`), `Error did not mention 'stages'`],
+    })],
+    [`Pipeline - require every state to be used only once`, () => expectError({
+      code: [
+        () => newPipeline({ stages: [stage(`a`), stage(`a`)] }),
+        () => newPipeline({ stages: [stage(`a`)], options: { startState: `done`, finishedState: `done` } }),
+        () => newPipeline({ stages: [stage(`a`), stage(`b`)], options: { errorState: `a_finished` } }),
+      ],
+      test: [e => e.message.includes(`duplicate states`), `Error did not mention 'duplicate states'`],
+    })],
+    [`Pipeline - stop the stages that were started when a stage has invalid options`, async () => {
+      const stages = [stage(`a`), { ...stage(`b`), options: { retry: { maxAttempts: 0 } } }]
+      const error = expectError({
+        code: () => newPipeline({ stages }),
+        test: [e => e.message.includes(`maxAttempts`), `Error did not mention 'maxAttempts'`],
+      })
+      // the first stage would process this task if it was still running
+      await tasksRef.push({ index: 0 })
+      await wait(timeout * 0.1)
+      await tasksRef.remove()
+      return error
+    }],
+    [`Pipeline - process a task in every stage`, async () => {
+      const stages = [`a`, `b`, `c`].map(name => ({ name, processTask: data => ({ ...data, [name]: true }) }))
+      const pipeline = newPipeline({ stages, options: { finishedState: `done` } })
+      const { ref } = await tasksRef.push({ index: 0 })
+      try {
+        await waitFor(async () => (await ref.child(`_state`).once(`value`)).val() === `done`, { timeout })
+        const { a, b, c } = (await ref.once(`value`)).val()
+        const [first, , last] = pipeline.specs
+        return (
+          !(a && b && c) || first.startState !== null || first.finishedState !== `a_finished` ||
+          last.startState !== `b_finished` || last.inProgressState !== `c_in_progress`
+        ) && /* istanbul ignore next */ `Expected the task to be processed by all stages`
+      } finally {
+        await pipeline.shutdown()
+        await tasksRef.remove()
+      }
+    }],
+    [`Pipeline - finish the tasks in progress on shutdown`, async () => {
+      let started = false
+      const stages = [{ name: `a`, processTask }, { name: `b`, processTask: () => {} }]
+      const pipeline = newPipeline({ stages, options: { finishedState: `done`, errorState: `failed` } })
+      const { ref } = await tasksRef.push({ index: 0 })
+      try {
+        await waitFor(() => started, { timeout })
+        await Promise.all([pipeline.shutdown(), pipeline.shutdown()])
+        const state = (await ref.child(`_state`).once(`value`)).val()
+        // the second stage is still running while the first one finishes its task
+        return ![`a_finished`, `done`].includes(state) &&
+          /* istanbul ignore next */ `Expected the task to be finished by the first stage, got '${state}'`
+      } finally {
+        await tasksRef.remove()
+      }
+
+      async function processTask() {
+        started = true
+        await wait(timeout * 0.1)
+      }
+    }],
+    [`Pipeline - do not abort the tasks in progress on shutdown`, async () => {
+      const aborted = []
+      const stages = [{ name: `a`, processTask: () => {} }, { name: `b`, processTask }]
+      const pipeline = newPipeline({ stages, options: { finishedState: `done` } })
+      const { ref } = await tasksRef.push({ index: 0 })
+      try {
+        await waitFor(async () => (await ref.child(`_state`).once(`value`)).val() === `b_in_progress`, { timeout })
+        await pipeline.shutdown()
+        const state = (await ref.child(`_state`).once(`value`)).val()
+        return (state !== `done` || JSON.stringify(aborted) !== `[false]`) &&
+          /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ state, aborted })}`
+      } finally {
+        await tasksRef.remove()
+      }
+
+      async function processTask(data, { signal }) {
+        await wait(timeout * 0.2)
+        aborted.push(signal.aborted)
+      }
+    }],
+    [`AbortController - call the listeners once when aborted`, () => {
+      const calls = []
+      const controller = new AbortController()
+      const { signal } = controller
+      const removed = /* istanbul ignore next */ () => { calls.push(`removed`) }
+      signal.addEventListener(`abort`, e => { calls.push(e.type) })
+      signal.addEventListener(`abort`, removed)
+      signal.addEventListener(`other`, removed)
+      signal.removeEventListener(`abort`, removed)
+      signal.removeEventListener(`abort`, removed)
+      signal.onabort = () => { calls.push(`onabort`) }
+      controller.abort(`reason`)
+      controller.abort(`again`)
+      return (
+        !signal.aborted || signal.reason !== `reason` || JSON.stringify(calls.sort()) !== `["abort","onabort"]`
+      ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ calls, reason: signal.reason })}`
+    }],
+    [`Metrics - require the 'new' keyword`, () => expectError({
+      code: () => Metrics(),
+      test: [e => e.message.includes(`new`), `Error did not mention 'new'`],
+    })],
+    [`Metrics - require a valid 'prefix' and 'buckets'`, () => expectError({
+      code: [
+        () => new Metrics({ prefix: `my-queue` }),
+        () => new Metrics({ buckets: [] }),
+        () => new Metrics({ buckets: [1, `2`] }),
+        () => new Metrics({ buckets: [1, 1] }),
+      ],
+      test: [e => /prefix|buckets/.test(e.message), `Error did not mention 'prefix' or 'buckets'`],
+    })],
+    [`Metrics - render the events of a queue in the Prometheus text format`, () => {
+      const queue = new EventEmitter()
+      const metrics = new Metrics({ prefix: `q_`, buckets: [0.1, 1] })
+      const stopObserving = metrics.observe(queue)
+      const spec = { inProgressState: `in_progress` }
+      const otherSpec = { inProgressState: `say "hi"\n\\` }
+      queue.emit(`claimed`, { spec, duration: 2000, claimDuration: 50 })
+      queue.emit(`claimed`, { spec: otherSpec, duration: null, claimDuration: 500 })
+      queue.emit(`claimFailed`, { spec, duration: 20 })
+      queue.emit(`progress`, { spec, duration: 10, progress: 50 })
+      queue.emit(`resolved`, { spec, duration: 100 })
+      queue.emit(`rejected`, { spec: otherSpec, duration: 300, retry: true })
+      queue.emit(`rejected`, { spec: otherSpec, duration: 300, retry: false })
+      stopObserving()
+      queue.emit(`resolved`, { spec, duration: 100 })
+
+      const headers = (name, help, type) => [`# HELP q_${name} ${help}`, `# TYPE q_${name} ${type}`]
+      const labels = `state="in_progress"`
+      const otherLabels = `state="say \\"hi\\"\\n\\\\"`
+      const expected = [
+        ...headers(`tasks_claimed_total`, `Number of tasks that were claimed`, `counter`),
+        `q_tasks_claimed_total{${labels}} 1`,
+        `q_tasks_claimed_total{${otherLabels}} 1`,
+        ...headers(`tasks_resolved_total`, `Number of tasks that were resolved`, `counter`),
+        `q_tasks_resolved_total{${labels}} 1`,
+        ...headers(`tasks_rejected_total`, `Number of tasks that were rejected`, `counter`),
+        `q_tasks_rejected_total{${otherLabels}} 2`,
+        ...headers(`tasks_retried_total`, `Number of rejected tasks that will be retried`, `counter`),
+        `q_tasks_retried_total{${otherLabels}} 1`,
+        ...headers(`progress_updates_total`, `Number of progress updates`, `counter`),
+        `q_progress_updates_total{${labels}} 1`,
+        ...headers(`claims_failed_total`, `Number of claims that did not result in a task`, `counter`),
+        `q_claims_failed_total{${labels}} 1`,
+        ...headers(`claim_duration_seconds`, `Time it took to claim a task`, `histogram`),
+        `q_claim_duration_seconds_bucket{${labels},le="0.1"} 2`,
+        `q_claim_duration_seconds_bucket{${labels},le="1"} 2`,
+        `q_claim_duration_seconds_bucket{${labels},le="+Inf"} 2`,
+        `q_claim_duration_seconds_sum{${labels}} 0.07`,
+        `q_claim_duration_seconds_count{${labels}} 2`,
+        `q_claim_duration_seconds_bucket{${otherLabels},le="0.1"} 0`,
+        `q_claim_duration_seconds_bucket{${otherLabels},le="1"} 1`,
+        `q_claim_duration_seconds_bucket{${otherLabels},le="+Inf"} 1`,
+        `q_claim_duration_seconds_sum{${otherLabels}} 0.5`,
+        `q_claim_duration_seconds_count{${otherLabels}} 1`,
+        ...headers(`processing_duration_seconds`, `Time it took to process a task`, `histogram`),
+        `q_processing_duration_seconds_bucket{${labels},le="0.1"} 1`,
+        `q_processing_duration_seconds_bucket{${labels},le="1"} 1`,
+        `q_processing_duration_seconds_bucket{${labels},le="+Inf"} 1`,
+        `q_processing_duration_seconds_sum{${labels}} 0.1`,
+        `q_processing_duration_seconds_count{${labels}} 1`,
+        `q_processing_duration_seconds_bucket{${otherLabels},le="0.1"} 0`,
+        `q_processing_duration_seconds_bucket{${otherLabels},le="1"} 2`,
+        `q_processing_duration_seconds_bucket{${otherLabels},le="+Inf"} 2`,
+        `q_processing_duration_seconds_sum{${otherLabels}} 0.6`,
+        `q_processing_duration_seconds_count{${otherLabels}} 2`,
+        ...headers(`wait_duration_seconds`, `Time a task waited before it was claimed`, `histogram`),
+        `q_wait_duration_seconds_bucket{${labels},le="0.1"} 0`,
+        `q_wait_duration_seconds_bucket{${labels},le="1"} 0`,
+        `q_wait_duration_seconds_bucket{${labels},le="+Inf"} 1`,
+        `q_wait_duration_seconds_sum{${labels}} 2`,
+        `q_wait_duration_seconds_count{${labels}} 1`,
+        ``
+      ].join(`\n`)
+
+      const response = {}
+      metrics.handler({}, {
+        writeHead: (status, headers) => { Object.assign(response, { status, headers }) },
+        end: body => { response.body = body },
+      })
+      return (
+        response.body !== expected || response.status !== 200 ||
+        !response.headers[`Content-Type`].startsWith(`text/plain; version=0.0.4`)
+      ) && /* istanbul ignore next */ `Unexpected output:\n${response.body}\nexpected:\n${expected}`
+    }],
+    [`cli - parse the arguments`, () => {
+      const { databaseURL, tasksPath, command, args, options } =
+        cli.parseArgs([`https://db`, `tasks`, `show`, `key`, `--state`, `error`])
+      const error = expectError({
+        code: [() => cli.parseArgs([`https://db`, `tasks`]), () => cli.parseArgs([`https://db`, `tasks`, `list`, `--state`])],
+        test: [e => /Usage|Missing value/.test(e.message), `Error did not contain usage or a missing value`],
+      })
+      return error || (
+        databaseURL !== `https://db` || tasksPath !== `tasks` || command !== `show` ||
+        JSON.stringify({ args, options }) !== JSON.stringify({ args: [`key`], options: { state: `error` } })
+      ) && /* istanbul ignore next */ `Unexpected result ${JSON.stringify({ args, options })}`
+    }],
+    [`cli - reject invalid commands`, async () => {
+      const attempts = [
+        [{ command: `delete-everything` }, `Unknown command`],
+        [{ command: `show` }, `expects <key>`],
+        [{ command: `stats`, args: [`key`] }, `expects no arguments`],
+        [{ command: `list` }, `requires --state`],
+        [{ command: `stats`, options: { state: `error` } }, `does not accept --state`],
+        [{ command: `purge`, options: { state: `done`, 'older-than': `7x` } }, `Invalid age`],
+        [{ command: `show`, args: [`unknown`] }, `does not exist`],
+      ]
+      const errors = await Promise.all(attempts.map(([x]) =>
+        cli.run({ tasksRef, args: [], options: {}, ...x }).then(/* istanbul ignore next */ () => null, e => e.message)
+      ))
+      const unexpected = errors.filter((error, i) => !error || !error.includes(attempts[i][1]))
+      return unexpected.length && /* istanbul ignore next */ `Unexpected errors ${JSON.stringify(errors)}`
+    }],
+    [`cli - show stats, list and show tasks`, async () => {
+      const now = Date.now()
+      const pushKey = tasksRef.push().key
+      await tasksRef.update({
+        [pushKey]: { index: 0 },
+        // the ages are not on the boundary of a unit to allow for differences between the clocks
+        a: { _state: `error`, _state_changed: now - 50 * 60 * 60 * 1000, _error_details: { error: `oops` } },
+        b: { _state: `error`, _state_changed: now - 3 * 60 * 60 * 1000 },
+        b2: { _state: `done`, _state_changed: now - 90 * 1000 },
+        c: { _state: `done` },
+        d: { _state: `scheduled`, _state_changed: now + 60 * 60 * 1000 }, // clock skew
+        e: { _state: `paused` },
+      })
+      const run = (command, args = [], options = {}) => cli.run({ tasksRef, command, args, options })
+      try {
+        const stats = await run(`stats`)
+        const list = await run(`list`, [], { state: `error` })
+        const nullList = await run(`list`, [], { state: `null` })
+        const task = JSON.parse(await run(`show`, [`a`]))
+        const expectedStats = [
+          /^state +count +oldest$/, /^null +1 +-?\d+(ms|s)$/, /^error +2 +2d$/, /^done +2 +1m$/, /^scheduled +1 +-\d+ms$/, /^paused +1 +-$/
+        ]
+        const expectedList = [
+          /^key +state +state changed +error$/, /^a +error +\d{4}-\d\d-\d\dT[^ ]+ +oops$/, /^b +error +[^ ]+ +-$/
+        ]
+        const matches = (text, expected) => text.split(`\n`).every((line, i) => expected[i].test(line)) &&
+          text.split(`\n`).length === expected.length
+        const expectedNullList = [/^key +state +state changed +error$/, new RegExp(`^${pushKey} +null +- +-$`)]
+        return (
+          !matches(stats, expectedStats) || !matches(list, expectedList) || !matches(nullList, expectedNullList) ||
+          task._error_details.error !== `oops`
+        ) && /* istanbul ignore next */ `Unexpected output:\n${stats}\n\n${list}\n\n${nullList}`
+      } finally {
+        await tasksRef.remove()
+      }
+    }],
+    [`cli - show the history of a task`, async () => {
+      const auditRef = rootRef.push().ref
+      const at = Date.UTC(2020, 0, 1)
+      await tasksRef.update({
+        a: { _state: `error`, _history: [
+          { from: null, to: `in_progress`, owner: `owner`, at },
+          { from: `in_progress`, to: `error`, owner: `owner`, at, error: `oops` },
+        ] },
+      })
+      await auditRef.child(`a`).push({ to: `in_progress`, at })
+      await auditRef.child(`a`).push({ from: `in_progress`, at })
+      const run = (args, options = {}) => cli.run({ tasksRef, command: `history`, args, options })
+      try {
+        const history = await run([`a`])
+        const audit = await run([`a`], { 'audit-path': auditRef.key })
+        const missing = await run([`b`])
+        const expected = [
+          `at                        from         to           owner  error`,
+          `2020-01-01T00:00:00.000Z  null         in_progress  owner  -`,
+          `2020-01-01T00:00:00.000Z  in_progress  error        owner  oops`,
+        ].join(`\n`)
+        const expectedAudit = [
+          `at                        from         to           owner  error`,
+          `2020-01-01T00:00:00.000Z  null         in_progress  -      -`,
+          `2020-01-01T00:00:00.000Z  in_progress  null         -      -`,
+        ].join(`\n`)
+        return (history !== expected || audit !== expectedAudit || missing !== `at  from  to  owner  error`) &&
+          /* istanbul ignore next */ `Unexpected output:\n${history}\n\n${audit}\n\n${missing}`
+      } finally {
+        await Promise.all([tasksRef.remove(), auditRef.remove()])
+      }
+    }],
+    [`cli - requeue, purge and release stale tasks`, async () => {
+      const now = Date.now()
+      const day = 24 * 60 * 60 * 1000
+      await tasksRef.update({
+        e1: { _state: `error`, _owner: `x`, _attempts: 2, _error_details: { error: `oops` }, _priority: 3 },
+        e2: { _state: `error` },
+        o1: { _state: `other` },
+        d1: { _state: `done`, _state_changed: now - 8 * day },
+        d2: { _state: `done`, _state_changed: now - day },
+        d3: { _state: `done` },
+        p1: { _state: `in_progress`, _owner: `x`, _lease_expires: now - 1000 },
+        p2: { _state: `in_progress`, _owner: `y`, _state_changed: now - 2 * day },
+        p3: { _state: `in_progress`, _owner: `z`, _lease_expires: now + day, _state_changed: now },
+      })
+      const run = (command, options = {}) => cli.run({ tasksRef, command, args: [], options })
+      try {
+        const output = [
+          await run(`requeue`, { from: `error`, to: `null` }),
+          await run(`purge`, { state: `done`, 'older-than': `7d` }),
+          await run(`release-stale`),
+          await run(`release-stale`, { 'older-than': `1d`, 'start-state': `start` }),
+        ].join(`\n`)
+        const { e1, e2, o1, d1, d2, d3, p1, p2, p3 } = (await tasksRef.once(`value`)).val()
+        return (
+          output !== [
+            `Requeued 2 task(s)`, `e1`, `e2`, `Purged 1 task(s)`, `d1`, `Released 1 task(s)`, `p1`,
+            `Released 1 task(s)`, `p2`
+          ].join(`\n`) ||
+          e1._state !== undefined || e1._owner || e1._attempts || e1._error_details.error !== `oops` ||
+          e1._state_priority !== statePriority(null, 3) || e2._state !== undefined || o1._state !== `other` ||
+          d1 || !d2 || !d3 ||
+          p1._state !== undefined || p1._owner || p1._lease_expires || p1._progress !== 0 ||
+          p2._state !== `start` || p3._state !== `in_progress`
+        ) && /* istanbul ignore next */ `Unexpected result:\n${output}`
+      } finally {
+        await tasksRef.remove()
+      }
+    }],
+    [`Admin - require the 'new' keyword`, () => expectError({
+      code: () => Admin({ tasksRef }),
+      test: [e => e.message.includes(`new`), `Error did not mention 'new'`],
+    })],
+    [`Admin - should not recreate removed tasks or change tasks that were changed`, async () => {
+      const results = []
+      const task = { key: `a`, val: () => ({}) }
+      const mockTasksRef = {
+        orderByChild: function () { return this },
+        equalTo: function () { return this },
+        once: async () => ({ forEach: f => { [task].forEach(f) } }),
+        child: () => ({
+          transaction: async f => {
+            results.push(f(null), f({ _lease_expires: 0 }))
+            return { committed: false }
+          }
+        }),
+        root: { child: () => ({ once: async () => ({ val: () => 0 }) }) },
+      }
+      const admin = new Admin({ tasksRef: mockTasksRef })
+      const keys = [
+        ...await admin.requeue({ from: `error`, to: null }),
+        ...await admin.purge({ state: `done`, olderThan: 0 }),
+        ...await admin.releaseStale({ inProgressState: `in_progress`, startState: null }),
+      ]
+      return (keys.length || JSON.stringify(results) !== JSON.stringify([null, undefined, null, undefined, null, undefined])) &&
+        /* istanbul ignore next */ `Unexpected results ${JSON.stringify({ keys, results })}`
+    }],
+    [`compileSchema - report the errors of every keyword`, () => {
+      const validate = compileSchema({
+        $schema: `http://json-schema.org/draft-07/schema#`,
+        title: `Task`,
+        type: `object`,
+        required: [`name`, `missing`],
+        properties: {
+          missing: {},
+          name: { type: `string`, minLength: 3, maxLength: 4, pattern: `^[a-z]+$` },
+          count: { type: [`integer`, `null`], minimum: 1, maximum: 2 },
+          ratio: { type: `number`, exclusiveMinimum: 0, exclusiveMaximum: 1 },
+          flag: { type: `boolean` },
+          tags: { type: `array`, minItems: 2, maxItems: 3, items: { enum: [`a`, [`b`], { c: 1 }, null] } },
+          kind: { const: { type: `x`, values: [1, 2] } },
+          nested: { type: `object`, additionalProperties: true },
+          options: { type: `object`, additionalProperties: { type: `string` } },
+        },
+        additionalProperties: false,
+      })
+      const invalid = {
+        name: `ABCDEF`, count: 2.5, ratio: 1, flag: `yes`, tags: [[`b`], { c: 2 }, `d`, null],
+        kind: { type: `x`, values: [1] }, nested: { a: 1 }, options: { a: `b`, c: 1 }, extra: true,
+      }
+      const errors = validate(invalid).map(({ path, message }) => `${path} ${message}`)
+      const expected = [
+        `/missing is required`,
+        `/name must have at most 4 characters`,
+        `/name must match pattern ^[a-z]+$`,
+        `/count must be of type integer or null`,
+        `/count must be <= 2`,
+        `/ratio must be < 1`,
+        `/flag must be of type boolean`,
+        `/tags must have at most 3 items`,
+        `/tags/1 must be one of ["a",["b"],{"c":1},null]`,
+        `/tags/2 must be one of ["a",["b"],{"c":1},null]`,
+        `/kind must be equal to {"type":"x","values":[1,2]}`,
+        `/options/c must be of type string`,
+        `/extra is not allowed`,
+      ]
+      const otherErrors = [
+        validate({ name: `ab`, missing: 1, count: 0, ratio: 0, tags: [`a`], kind: { type: `x`, values: { 0: 1, 1: 2 } } }),
+        validate({ name: `abc`, missing: 1, tags: [`a`, {}], kind: [`x`] }),
+        validate({ name: `abc`, missing: 1, kind: { type: `x`, other: [1, 2] } }),
+        validate(null),
+      ].map(x => x.map(({ path, message }) => `${path} ${message}`))
+      const expectedOtherErrors = [
+        [
+          `/name must have at least 3 characters`, `/count must be >= 1`, `/ratio must be > 0`,
+          `/tags must have at least 2 items`, `/kind must be equal to {"type":"x","values":[1,2]}`,
+        ],
+        [`/tags/1 must be one of ["a",["b"],{"c":1},null]`, `/kind must be equal to {"type":"x","values":[1,2]}`],
+        [`/kind must be equal to {"type":"x","values":[1,2]}`],
+        [` must be of type object`],
+      ]
+      const valid = validate({ name: `abc`, missing: 0, count: null, tags: [`a`, { c: 1 }], kind: { values: [1, 2], type: `x` } })
+      return (
+        JSON.stringify(errors) !== JSON.stringify(expected) ||
+        JSON.stringify(otherErrors) !== JSON.stringify(expectedOtherErrors) ||
+        valid.length
+      ) && /* istanbul ignore next */ `Unexpected errors ${JSON.stringify({ errors, otherErrors, valid }, null, 2)}`
+    }],
+    [`compileSchema - reject unsupported keywords`, () => expectError({
+      code: [
+        () => compileSchema({ properties: { a: { format: `email` } } }),
+        () => compileSchema({ items: [{ type: `string` }] }),
+      ],
+      test: [e => e.message.includes(`unsupported`) && e.message.includes(`#/`), `Error did not mention the keyword`],
+    })],
+    [`statePriority - should sort higher priorities first and clamp them`, () => {
+      const sorted = [statePriority(`a`, 2e6), statePriority(`a`, 5), statePriority(`a`, 1.4), statePriority(`a`, -2e6)]
+      const expected = [`a|0000001`, `a|0999995`, `a|0999999`, `a|1999999`]
+      return JSON.stringify(sorted) !== JSON.stringify(expected) &&
+        /* istanbul ignore next */ `Unexpected state priorities ${JSON.stringify(sorted)}`
+    }],
+    [`Scheduler - promote tasks that are due after the maximum delay of setTimeout`, async () => {
+      const day = 24 * 60 * 60 * 1000
+      const delays = []
+      let offset = 0
+      const { setTimeout } = global
+      // the delays of the scheduler are shortened, the scheduler sees the time move forward through `offset`
+      global.setTimeout = (f, delay, ...args) => {
+        if (delay > day) delays.push(delay)
+        return setTimeout(f, delay > day ? 10 : delay, ...args)
+      }
+      const spec = { startState: null, inProgressState: `in_progress`, finishedState: null, errorState: `error` }
+      const serverTime = { now: () => Date.now() + offset }
+      const { ref } = await tasksRef.push({ index: 0, _state: `_scheduled`, _run_at: Date.now() + 25 * day })
+      const scheduler = new Scheduler({ processId: `test`, tasksRef, spec, history: null, serverTime, reportError: dontCallMe })
+      try {
+        await waitFor(() => delays.length > 1, { timeout })
+        offset = 26 * day
+        await waitFor(async () => !(await ref.child(`_run_at`).once(`value`)).exists(), { timeout })
+        return delays[0] !== 2 ** 31 - 1 &&
+          /* istanbul ignore next */ `Expected the delay to be capped, got ${JSON.stringify(delays)}`
+      } finally {
+        global.setTimeout = setTimeout
+        await scheduler.shutdown()
+        await tasksRef.remove()
+      }
+    }],
+    [`Scheduler - ignore a '_run_at' that is not a number`, async () => {
+      let calls = 0
+      const spec = { startState: null, inProgressState: `in_progress`, finishedState: null, errorState: `error` }
+      const serverTime = { now: /* istanbul ignore next */ () => { calls += 1; return Date.now() } }
+      await tasksRef.push({ index: 0, _state: `_scheduled`, _run_at: new Date().toISOString() })
+      const scheduler = new Scheduler({ processId: `test`, tasksRef, spec, history: null, serverTime, reportError: dontCallMe })
+      try {
+        await wait(timeout * 0.2)
+        return calls && /* istanbul ignore next */ `Expected the task to be ignored, the time was read ${calls} time(s)`
+      } finally {
+        await scheduler.shutdown()
+        await tasksRef.remove()
+      }
+    }],
+    [`TransactionHelper - should retry transactions`, async () => {
+      const t = new TransactionHelper({ spec: {} })
+      let tried = 0
+      await t.claim({ transaction })
+
+      async function transaction() {
+        if (!tried) {
+          tried += 1
+          throw new Error('try again')
+        }
+      }
+    }],
+    [`TransactionHelper - should not recreate removed tasks`, async () => {
+      const t = new TransactionHelper({ spec: {} })
+      const results = await Promise.all([
+        t.claim(transactionRef(null)),
+        t.updateProgressWith(transactionRef(null), 50),
+        t.resolveWith(transactionRef(null), null),
+        t.rejectWith(transactionRef(null), new Error(`oops`)),
+        t.renewLease(transactionRef(null)),
+        t.releaseExpiredLease(transactionRef(null)),
+        t.promote(transactionRef(null)),
+        t.removeDuplicate(transactionRef(null)),
+      ])
+      return results.some(x => x !== null) &&
+        /* istanbul ignore next */ `Expected the transactions to keep the tasks removed`
+    }],
+    [`TransactionHelper - should only touch leases of tasks that are in progress`, async () => {
+      const t = new TransactionHelper({
+        spec: { inProgressState: `in_progress` },
+        lease: { duration: 1, maxRecoveries: 1 },
+        serverTime: { now: () => 1 },
+      })
+      const results = await Promise.all([
+        t.releaseExpiredLease(transactionRef({ _state: `other`, _lease_expires: 0 })),
+        t.releaseExpiredLease(transactionRef({ _state: `in_progress`, _lease_expires: 2 })),
+      ])
+      return results.some(x => x !== undefined) &&
+        /* istanbul ignore next */ `Expected the transactions to leave the tasks alone`
+    }],
+    [`TransactionHelper - should delay retries using the configured backoff`, async () => {
+      const retry = { maxAttempts: 5, baseDelay: 10, maxDelay: 30, retryOn: () => true }
+      const spec = { inProgressState: `in_progress` }
+      const serverTime = { now: () => 0 }
+      const exponential = new TransactionHelper({ processId: `p`, spec, serverTime, retry: { ...retry, backoff: `exponential` } })
+      const fixed = new TransactionHelper({ processId: `p`, spec, serverTime, retry: { ...retry, backoff: `fixed` } })
+      const runAt = await Promise.all([
+        ...[0, 1, 2, 3].map(attempts => runAtAfterRejection(exponential, attempts)),
+        runAtAfterRejection(fixed, 3),
+      ])
+      return JSON.stringify(runAt) !== `[10,20,30,30,10]` &&
+        /* istanbul ignore next */ `Unexpected delays ${JSON.stringify(runAt)}`
+
+      async function runAtAfterRejection(t, _attempts) {
+        const task = await t.rejectWith(transactionRef({ _state: `in_progress`, _owner: `p:0`, _attempts }), new Error())
+        return task._run_at
+      }
+    }],
+    [`TransactionHelper - should only promote tasks that are due`, async () => {
+      const t = new TransactionHelper({ spec: {}, serverTime: { now: () => 1 } })
+      const results = await Promise.all([
+        t.promote(transactionRef({ _state: `scheduled`, _run_at: 2 })),
+        t.promote(transactionRef({ _state: `other`, _run_at: 0 })),
+      ])
+      const [notDue, due] = results
+      const expectedDue = { _state: `other`, _run_at: null, _scheduled_state: null, _state_priority: statePriority(`other`, 0) }
+      return (notDue !== undefined || JSON.stringify(due) !== JSON.stringify(expectedDue)) &&
+        /* istanbul ignore next */ `Unexpected results ${JSON.stringify(results)}`
+    }],
+    [`TransactionHelper - should only record changes of the state`, async () => {
+      const pushed = []
+      const auditRef = { child: key => ({ push: async entry => { pushed.push([key, entry]) } }) }
+      const t = new TransactionHelper({ spec: {}, history: { maxEntries: null, auditRef }, serverTime: { now: () => 1 } })
+      const ref = task => ({ key: `task`, transaction: async f => ({ committed: true, snapshot: f(task) }) })
+      const results = await Promise.all([
+        t.promote(ref(null)),
+        t.promote(ref({ _state: `other`, _run_at: 0 })),
+        t.promote(ref({ _state: `other`, _run_at: 2 })),
+        t.promote(ref({ _state: `_scheduled`, _scheduled_state: `start`, _run_at: 0, _history: [`x`] })),
+        t.resolveWith(ref({ _owner: t.owner }), null),
+      ])
+      const capped = new TransactionHelper({ spec: {}, history: { maxEntries: 2, auditRef: null } })
+      const removed = await capped.resolveWith(ref({ _owner: capped.owner, _history: [`x`] }), null)
+      const at = { '.sv': `timestamp` }
+      const expected = [
+        [`task`, { from: `_scheduled`, to: `start`, owner: null, at, error: null }],
+        [`task`, { from: null, to: null, owner: t.owner, at, error: null, removed: true }],
+      ]
+      return (
+        JSON.stringify(pushed) !== JSON.stringify(expected) || results[3].snapshot._history.length !== 1 ||
+        removed.snapshot !== null
+      ) && /* istanbul ignore next */ `Unexpected history ${JSON.stringify({ pushed, results })}`
+    }],
+    [`TransactionHelper - should schedule instead of claim tasks that should run later`, async () => {
+      const t = new TransactionHelper({ spec: { startState: `start` }, scheduling: true, serverTime: { now: () => 1 } })
+      const { _state, _scheduled_state } = await t.claim(transactionRef({ _state: `start`, _run_at: 2 }))
+      return (_state !== `_scheduled` || _scheduled_state !== `start`) &&
+        /* istanbul ignore next */ `Expected the task to be scheduled`
+    }],
+    [`TransactionHelper - should give a task without a priority priority 0`, async () => {
+      const spec = { startState: null, inProgressState: `in_progress`, finishedState: `finished` }
+      const t = new TransactionHelper({ spec })
+      const processing = { _state: `in_progress`, _owner: t.owner, _priority: 5 }
+      const results = await Promise.all([
+        t.claim(transactionRef({ index: 0 })),
+        t.resolveWith(transactionRef(processing), { index: 1 }),
+      ])
+      const [claimed, resolved] = results.map(x => x._state_priority)
+      return (claimed !== statePriority(`in_progress`, 0) || resolved !== statePriority(`finished`, 0)) &&
+        /* istanbul ignore next */ `Unexpected results ${JSON.stringify(results)}`
+    }],
+    [`TransactionHelper - should only let tasks with valid '_depends_on' wait when claiming them`, async () => {
+      const spec = { startState: null, inProgressState: `in_progress` }
+      const t = new TransactionHelper({ spec, dependencies: true })
+      const results = await Promise.all(
+        [`a`, [], [``], [`a`]].map(_depends_on => t.claim(transactionRef({ _depends_on })))
+      )
+      const states = results.map(x => x._state)
+      return JSON.stringify(states) !== `["in_progress","in_progress","in_progress","_waiting"]` &&
+        /* istanbul ignore next */ `Unexpected states ${JSON.stringify(states)}`
+    }],
+    [`Queue - ignore '_run_at' and do not watch it without scheduling`, async () => {
+      const processed = []
+      const watched = []
+      const watchingTasksRef = Object.create(tasksRef, {
+        orderByChild: { value: key => { watched.push(key); return tasksRef.orderByChild(key) } },
+      })
+      const queue = new Queue({ tasksRef: watchingTasksRef, processTask, reportError: dontCallMe })
+      try {
+        await tasksRef.push({ index: 0, _run_at: Date.now() + 60 * 60 * 1000 })
+        await waitFor(() => processed.length === 1, { timeout })
+        return watched.includes(`_run_at`) && /* istanbul ignore next */ `Expected '_run_at' not to be watched`
+      } finally {
+        await queue.shutdown()
+        await tasksRef.remove()
+      }
+
+      function processTask({ index }) { processed.push(index) }
+    }],
     [`TransactionHelper - should give up after a certain amount of transactions`, async () => {
       const t = new TransactionHelper({ spec: {} })
       try {